@@ -1,5 +1,7 @@
 import axios from 'axios';
 
+import { attachTokenRefresh, clearStoredTokens } from './tokenRefresh';
+
 const backEndUrl = import.meta.env.VITE_BACKEND_PORT || 'http://localhost:1965';
 
 const API = axios.create({
@@ -15,16 +17,12 @@ API.interceptors.request.use((config) => {
     return config;
 });
 
-// Handle response errors
-API.interceptors.response.use(
-    (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            localStorage.removeItem('token');
-            window.location.href = '/auth';
-        }
-        return Promise.reject(error);
+// Renew an expired access token and retry; only a dead session goes back to login
+attachTokenRefresh(API, {
+    onExpired: () => {
+        clearStoredTokens();
+        window.location.href = '/auth';
     }
-);
+});
 
 export default API;
@@ -0,0 +1,92 @@
+import axios from 'axios';
+
+const backEndUrl = import.meta.env.VITE_BACKEND_PORT || 'http://localhost:1965';
+
+// A bare client so refresh calls never go through the retry interceptors below
+const refreshClient = axios.create({ baseURL: backEndUrl });
+
+const CREDENTIAL_ROUTES = /\/api\/auth\/(login|register|refresh|logout)/;
+
+let refreshPromise = null;
+
+export const getStoredTokens = () => ({
+    token: localStorage.getItem('token'),
+    refreshToken: localStorage.getItem('refreshToken')
+});
+
+export const storeTokens = ({ token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearStoredTokens = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+};
+
+// Refresh tokens are single-use, so tabs take turns: inside the lock a tab first
+// checks whether another one already replaced the token it was holding
+const withRefreshLock = (callback) => (
+    navigator.locks ? navigator.locks.request('ping-me-token-refresh', callback) : callback()
+);
+
+// Resolves with a fresh access token; one refresh is shared by all callers in this tab
+export const refreshAccessToken = (staleToken) => {
+    if (!refreshPromise) {
+        refreshPromise = withRefreshLock(async () => {
+            const stored = getStoredTokens();
+            if (stored.token && stored.token !== staleToken) return stored.token;
+            if (!stored.refreshToken) throw new Error('No refresh token');
+
+            const { data } = await refreshClient.post('/api/auth/refresh', {
+                refreshToken: stored.refreshToken
+            });
+            storeTokens(data);
+            return data.token;
+        }).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+export const revokeRefreshToken = async () => {
+    const { refreshToken } = getStoredTokens();
+    if (!refreshToken) return;
+    await refreshClient.post('/api/auth/logout', { refreshToken });
+};
+
+// Retries a request once with a refreshed token when it fails with 401.
+// onRefreshed gets the new token, onExpired runs when the session cannot be renewed.
+export const attachTokenRefresh = (client, { onRefreshed, onExpired }) => {
+    return client.interceptors.response.use(
+        (response) => response,
+        async (error) => {
+            const { config, response } = error;
+            // Credential checks answer 401 for a wrong password, not for an expired token
+            if (response?.status !== 401 || !config || config._retried || CREDENTIAL_ROUTES.test(config.url)) {
+                return Promise.reject(error);
+            }
+
+            if (!getStoredTokens().refreshToken) {
+                onExpired?.(error);
+                return Promise.reject(error);
+            }
+
+            config._retried = true;
+            const staleToken = config.headers.get('authorization')?.split(' ')[1];
+
+            let token;
+            try {
+                token = await refreshAccessToken(staleToken);
+            } catch (refreshError) {
+                onExpired?.(refreshError);
+                return Promise.reject(error);
+            }
+
+            onRefreshed?.(token);
+            config.headers.set('authorization', `Bearer ${token}`);
+            return client(config);
+        }
+    );
+};
@@ -1,117 +1,1470 @@
 import React, {
     useContext,
     useEffect,
+    useEffectEvent,
+    useLayoutEffect,
+    useRef,
     useState,
 } from 'react';
 
+import toast from 'react-hot-toast';
 import { useNavigate } from 'react-router-dom';
 
 import { AuthContext } from '../context/authContext';
+import {
+    notificationsSupported,
+    notify,
+    requestNotificationPermission,
+    setUnreadBadge,
+} from '../utils/notifications';
+
+// Typing events: send at most one start per throttle window, stop after the input
+// goes idle, and hide a remote indicator the sender stopped refreshing
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_IDLE_MS = 3000;
+const TYPING_DISPLAY_MS = 6000;
+
+const REACTION_CHOICES = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// How far back a click on a quote may page through history to find the original
+const MAX_JUMP_PAGES = 10;
+// Horizontal drag that counts as a swipe-to-reply on touch screens
+const SWIPE_REPLY_PX = 60;
+
+// Mirrors the server's default attachment allow-list
+const ATTACHMENT_ACCEPT = 'image/*,audio/*,video/*,.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.txt,.zip';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const EMPTY_SEARCH_FILTERS = { partner: '', from: '', to: '', hasAttachment: false };
+// The server only looks people up from this many characters on
+const MIN_PEOPLE_QUERY = 3;
+
+const PRESENCE_STYLES = {
+    online: { dot: 'bg-emerald-400', label: 'Online' },
+    away: { dot: 'bg-amber-400', label: 'Away' },
+    dnd: { dot: 'bg-red-500', label: 'Do not disturb' },
+    invisible: { dot: 'bg-slate-400', label: 'Invisible' },
+    offline: { dot: null, label: 'Offline' }
+};
+// How long a custom status text stays up; null keeps it until cleared
+const STATUS_EXPIRY_CHOICES = [
+    { label: "Don't clear", minutes: null },
+    { label: '30 minutes', minutes: 30 },
+    { label: '1 hour', minutes: 60 },
+    { label: '4 hours', minutes: 240 },
+    { label: '1 day', minutes: 24 * 60 }
+];
+
+// Sends the server hasn't acknowledged yet survive a reload here, per user
+const outboxKey = (userId) => `outbox:${userId}`;
+
+// A send interrupted by a reload can't have been acknowledged, so restored entries wait for a retry
+const loadOutbox = (userId) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(outboxKey(userId))) || [];
+        return saved.map((entry) => ({ ...entry, state: 'failed' }));
+    } catch {
+        return [];
+    }
+};
+
+// randomUUID only exists in secure contexts
+const createClientMessageId = () => (
+    crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
 
 function ChatPage() {
     const navigate = useNavigate();
-    const { authUser, socket, logout, axios } = useContext(AuthContext);
+    const { authUser, setAuthUser, presence, setStatus, subscribeSync, socket, logout, axios } = useContext(AuthContext);
 
-    const [users, setUsers] = useState([]);
-    const [selectedUser, setSelectedUser] = useState(null);
+    // Sidebar entries, most recently active first: { chat, lastMessage, unread, updatedAt }
+    const [conversations, setConversations] = useState([]);
+    const [selectedChat, setSelectedChat] = useState(null);
     const [messages, setMessages] = useState([]);
-    const [loadingUsers, setLoadingUsers] = useState(true);
+    const [loadingConversations, setLoadingConversations] = useState(true);
     const [loadingMessages, setLoadingMessages] = useState(false);
-    const [usersError, setUsersError] = useState(false);
+    const [conversationsError, setConversationsError] = useState(false);
     const [messageInput, setMessageInput] = useState('');
     const [showUserMenu, setShowUserMenu] = useState(false);
     const [sending, setSending] = useState(false);
+    // Text sends still waiting for the server: { clientMessageId, chatId, isGroup, message,
+    // replyTo, createdAt, state: 'sending' | 'failed', reason }
+    const [outbox, setOutbox] = useState(() => loadOutbox(authUser._id));
+    // Upload percentage while an attachment is in flight
+    const [uploadProgress, setUploadProgress] = useState(null);
+    const [hasMoreMessages, setHasMoreMessages] = useState(false);
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    // Set when a search result opened the chat mid-history
+    const [hasNewerMessages, setHasNewerMessages] = useState(false);
+    const [loadingNewer, setLoadingNewer] = useState(false);
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+    const [showSearchFilters, setShowSearchFilters] = useState(false);
+    const [searchResults, setSearchResults] = useState([]);
+    const [searchPage, setSearchPage] = useState(1);
+    const [searchHasMore, setSearchHasMore] = useState(false);
+    const [searching, setSearching] = useState(false);
+    const [showChatMenu, setShowChatMenu] = useState(false);
+    const [showBlockedUsers, setShowBlockedUsers] = useState(false);
+    const [blockedUsers, setBlockedUsers] = useState([]);
+    const [loadingBlocked, setLoadingBlocked] = useState(false);
+    // 'chats' or 'requests' (pending contact requests and messages from strangers)
+    const [sidebarTab, setSidebarTab] = useState('chats');
+    const [contactRequests, setContactRequests] = useState({ incoming: [], outgoing: [] });
+    const [showFindPeople, setShowFindPeople] = useState(false);
+    const [peopleQuery, setPeopleQuery] = useState('');
+    const [peopleResults, setPeopleResults] = useState([]);
+    const [searchingPeople, setSearchingPeople] = useState(false);
+    // Bumped when the other side changes a contact or request, to reload sidebar and requests
+    const [contactsVersion, setContactsVersion] = useState(0);
+    const [showStatusEditor, setShowStatusEditor] = useState(false);
+    const [statusDraft, setStatusDraft] = useState({ status: 'online', text: '', expiresIn: null });
+    const [savingStatus, setSavingStatus] = useState(false);
+    // Re-renders "last seen" times and drops expired status texts
+    const [now, setNow] = useState(() => Date.now());
+    // 'default' until the browser has been asked whether we may show desktop notifications
+    const [notificationPermission, setNotificationPermission] = useState(
+        () => (notificationsSupported() ? Notification.permission : 'unsupported')
+    );
+
+    // { x, y, message } while a bubble's context menu is open
+    const [contextMenu, setContextMenu] = useState(null);
+    const [editingMessage, setEditingMessage] = useState(null);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    // { [userId | groupId]: { [typingUserId]: name } }
+    const [typingByChat, setTypingByChat] = useState({});
+
+    const messagesContainerRef = useRef(null);
+    const activeChatRef = useRef(null);
+    // Scroll metrics captured right before older messages are prepended
+    const scrollRestoreRef = useRef(null);
+    const nearBottomRef = useRef(true);
+    const typingExpiryRef = useRef({});
+    const typingSentAtRef = useRef(0);
+    const typingTargetRef = useRef(null);
+    const typingIdleTimerRef = useRef(null);
+    const touchStartRef = useRef(null);
+    const fileInputRef = useRef(null);
+    // Message a search result wants to land on once its chat is selected
+    const pendingJumpRef = useRef(null);
+    const searchTimerRef = useRef(null);
+    const peopleTimerRef = useRef(null);
 
-    // Fetch users for sidebar
+    // Fetch conversations for sidebar
     useEffect(() => {
-        fetchUsers();
-    }, []);
+        fetchConversations();
+        fetchContactRequests();
+    }, [contactsVersion]);
 
-    // Fetch messages when user is selected
+    // Fetch messages when a user or group is selected
     useEffect(() => {
-        if (selectedUser) {
-            fetchMessages(selectedUser._id);
+        if (selectedChat) {
+            fetchMessages(selectedChat, pendingJumpRef.current);
+            pendingJumpRef.current = null;
+        }
+    }, [selectedChat]);
+
+    // Keep the viewport steady when history is prepended, and follow new messages at the bottom
+    useLayoutEffect(() => {
+        const container = messagesContainerRef.current;
+        if (!container) return;
+
+        if (scrollRestoreRef.current) {
+            const { scrollHeight, scrollTop } = scrollRestoreRef.current;
+            container.scrollTop = container.scrollHeight - scrollHeight + scrollTop;
+            scrollRestoreRef.current = null;
+        } else if (nearBottomRef.current) {
+            container.scrollTop = container.scrollHeight;
         }
-    }, [selectedUser]);
+    }, [messages, outbox]);
+
+    useEffect(() => {
+        localStorage.setItem(outboxKey(authUser._id), JSON.stringify(outbox));
+    }, [outbox, authUser._id]);
+
+    // Sends that failed for lack of a connection go out again once it is back
+    const retryFailedSends = useEffectEvent(() => {
+        outbox
+            .filter((entry) => entry.state === 'failed' && !entry.reason)
+            .forEach((entry) => deliverOutboxEntry(entry));
+    });
+
+    useEffect(() => {
+        if (!socket) return;
+
+        const onConnect = () => retryFailedSends();
+        socket.on("connect", onConnect);
+        return () => socket.off("connect", onConnect);
+    }, [socket]);
+
+    // Desktop notification or toast for an incoming message, unless it is in view,
+    // its conversation is muted or we are on do not disturb
+    const notifyIncoming = useEffectEvent((message, chatId, inView) => {
+        if (inView || message.systemMessage || isMuted(chatId)) return;
+        if (authUser.presenceStatus === 'dnd') return;
+
+        // New conversations and message requests are not in the sidebar yet
+        const chat = conversations.find((entry) => entry.chat._id === chatId)?.chat;
+
+        notify({
+            title: chat?.name || message.senderId?.name || 'New message',
+            body: getPreviewText(chat || { isGroup: Boolean(message.groupId) }, message),
+            tag: `chat:${chatId}`,
+            onOpen: () => {
+                setSidebarTab('chats');
+                if (chat) selectChat(chat);
+            }
+        });
+    });
 
     // Listen for new messages via socket
     useEffect(() => {
         if (!socket) return;
 
         socket.on("newMessage", (message) => {
-            if (selectedUser && message.senderId === selectedUser._id) {
-                setMessages((prev) => [...prev, message]);
+            const senderId = getSenderId(message);
+            const fromMe = senderId === authUser._id;
+            // Direct messages are also echoed to the sender's other devices
+            const chatId = message.groupId || (fromMe ? message.receiverId : senderId);
+            const belongsToChat = selectedChat?._id === chatId &&
+                Boolean(selectedChat.isGroup) === Boolean(message.groupId);
+            // An open chat in a background tab hasn't been read yet
+            const inView = belongsToChat && !document.hidden;
+
+            clearTyping(message.groupId || senderId, senderId);
+
+            // Our own send, acknowledged here before (or instead of) its HTTP response
+            if (fromMe && message.clientMessageId) {
+                removeOutboxEntry(message.clientMessageId);
+            }
+
+            // Our own sends come back through the socket too, so skip ones already shown.
+            // While viewing older history, new messages arrive with the newer pages instead.
+            if (belongsToChat && !hasNewerMessages) {
+                setMessages((prev) => prev.some((m) => m._id === message._id) ? prev : [...prev, message]);
+            }
+
+            // A chat the sidebar doesn't list yet is a new conversation or a message request
+            if (conversations.some((entry) => entry.chat._id === chatId)) {
+                bumpConversation(chatId, message, !fromMe && !inView);
+            } else {
+                setContactsVersion((v) => v + 1);
+            }
+
+            if (fromMe) return;
+
+            notifyIncoming(message, chatId, inView);
+
+            // Acknowledge incoming messages: direct ones are read if the chat is in view and
+            // delivered otherwise; groups only track whether the open group was read
+            let ack = null;
+            if (!message.groupId) {
+                ack = inView
+                    ? axios.put(`/api/message/markSeen/${message._id}`)
+                    : axios.put('/api/message/delivered', { messageIds: [message._id] });
+            } else if (inView) {
+                ack = axios.put(`/api/message/group/${chatId}/read`);
+            }
+            ack?.catch((error) => console.error('Error acknowledging message:', error));
+        });
+
+        socket.on("messageStatus", ({ messageIds, status, at }) => {
+            const timestampField = status === 'seen' ? 'seenAt' : 'deliveredAt';
+            setMessages((prev) => prev.map((m) => (
+                messageIds.includes(m._id) ? { ...m, status, [timestampField]: at } : m
+            )));
+        });
+
+        socket.on("messageEdited", (edited) => {
+            setMessages((prev) => prev.map((m) => (m._id === edited._id ? { ...m, ...edited } : m)));
+            updateConversationPreview(edited._id, { message: edited.message });
+        });
+
+        socket.on("messageReaction", ({ messageId, reactions }) => {
+            setReactions(messageId, reactions);
+        });
+
+        socket.on("messageDeleted", (payload) => {
+            applyDeletion(payload);
+            if (payload.scope === 'everyone') {
+                updateConversationPreview(payload.messageId, { message: payload.message, deletedForEveryone: true });
+            }
+        });
+
+        socket.on("groupDeleted", ({ groupId }) => {
+            setConversations((prev) => prev.filter((entry) => entry.chat._id !== groupId));
+            setSelectedChat((prev) => (prev?._id === groupId ? null : prev));
+        });
+
+        return () => {
+            socket.off("newMessage");
+            socket.off("messageStatus");
+            socket.off("messageEdited");
+            socket.off("messageReaction");
+            socket.off("messageDeleted");
+            socket.off("groupDeleted");
+        };
+    }, [socket, selectedChat, hasNewerMessages, authUser, axios, conversations]);
+
+    // Messages that arrived in the open chat while the tab was in the background are
+    // read once it comes back into view
+    const readOpenChat = useEffectEvent(() => {
+        const entry = conversations.find((e) => e.chat._id === selectedChat?._id);
+        if (!entry?.unread) return;
+
+        const acks = selectedChat.isGroup
+            ? [axios.put(`/api/message/group/${selectedChat._id}/read`)]
+            : messages
+                .filter((m) => getSenderId(m) === selectedChat._id && m.status !== 'seen')
+                .map((m) => axios.put(`/api/message/markSeen/${m._id}`));
+
+        Promise.all(acks).catch((error) => console.error('Error acknowledging message:', error));
+        setConversations((prev) => prev.map((e) => (e === entry ? { ...e, unread: 0 } : e)));
+    });
+
+    useEffect(() => {
+        const onVisibilityChange = () => {
+            if (!document.hidden) readOpenChat();
+        };
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+    }, []);
+
+    // Unread messages of unmuted conversations, in the tab title
+    useEffect(() => {
+        const muted = authUser?.mutedConversations || [];
+        setUnreadBadge(conversations
+            .filter((entry) => !muted.includes(entry.chat._id))
+            .reduce((total, entry) => total + entry.unread, 0));
+    }, [conversations, authUser]);
+
+    useEffect(() => () => setUnreadBadge(0), []);
+
+    // Apply what the socket missed while it was down; the sidebar's previews and unread
+    // counts are simply refetched once the open chat has been acknowledged
+    useEffect(() => {
+        return subscribeSync(({ messages: synced, removed, stale }) => {
+            if (stale) {
+                setContactsVersion((v) => v + 1);
+                // A fresh chat object makes the selection effect reload the open thread
+                setSelectedChat((prev) => prev && { ...prev });
+                return;
+            }
+
+            // Sends whose response was lost with the connection
+            synced
+                .filter((message) => message.clientMessageId && getSenderId(message) === authUser._id)
+                .forEach((message) => removeOutboxEntry(message.clientMessageId));
+
+            const inOpenChat = synced.filter((message) => {
+                const senderId = getSenderId(message);
+                const chatId = message.groupId || (senderId === authUser._id ? message.receiverId : senderId);
+                return selectedChat?._id === chatId && Boolean(selectedChat.isGroup) === Boolean(message.groupId);
+            });
+            const changed = new Map(inOpenChat.map((message) => [message._id, message]));
+
+            setMessages((prev) => {
+                const merged = prev
+                    .filter((m) => !removed.includes(m._id))
+                    .map((m) => (changed.has(m._id) ? { ...m, ...changed.get(m._id) } : m));
+
+                // Older history stays unloaded, and while viewing it newer messages
+                // arrive with the newer pages
+                if (hasNewerMessages) return merged;
+                const known = new Set(prev.map((m) => m._id));
+                const added = inOpenChat.filter((m) => !known.has(m._id) && (!prev[0] || m._id > prev[0]._id));
+                return [...merged, ...added].sort((a, b) => (a._id < b._id ? -1 : 1));
+            });
+
+            const incoming = inOpenChat.filter((message) => getSenderId(message) !== authUser._id);
+            let acks = [];
+            if (selectedChat?.isGroup && incoming.length > 0) {
+                acks = [axios.put(`/api/message/group/${selectedChat._id}/read`)];
+            } else if (selectedChat) {
+                acks = incoming
+                    .filter((message) => message.status !== 'seen')
+                    .map((message) => axios.put(`/api/message/markSeen/${message._id}`));
             }
+
+            Promise.all(acks)
+                .catch((error) => console.error('Error acknowledging message:', error))
+                .finally(() => setContactsVersion((v) => v + 1));
+        });
+    }, [subscribeSync, selectedChat, hasNewerMessages, authUser, axios]);
+
+    // Bring a jumped-to message into view and flash it briefly
+    useEffect(() => {
+        if (!highlightedMessageId) return;
+
+        document.getElementById(`message-${highlightedMessageId}`)
+            ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        const timer = setTimeout(() => setHighlightedMessageId(null), 2000);
+        return () => clearTimeout(timer);
+    }, [highlightedMessageId]);
+
+    // Any click elsewhere closes the bubble context menu
+    useEffect(() => {
+        if (!contextMenu) return;
+
+        const close = () => setContextMenu(null);
+        window.addEventListener('click', close);
+        window.addEventListener('scroll', close, true);
+        return () => {
+            window.removeEventListener('click', close);
+            window.removeEventListener('scroll', close, true);
+        };
+    }, [contextMenu]);
+
+    // Typing indicators from conversation partners and group members
+    useEffect(() => {
+        if (!socket) return;
+
+        const timers = typingExpiryRef.current;
+
+        socket.on("typing:start", ({ from, name, groupId }) => {
+            const chatKey = groupId || from;
+            const timerKey = `${chatKey}:${from}`;
+
+            setTypingByChat((prev) => ({ ...prev, [chatKey]: { ...prev[chatKey], [from]: name } }));
+
+            clearTimeout(timers[timerKey]);
+            timers[timerKey] = setTimeout(() => clearTyping(chatKey, from), TYPING_DISPLAY_MS);
+        });
+
+        socket.on("typing:stop", ({ from, groupId }) => {
+            clearTyping(groupId || from, from);
+        });
+
+        return () => {
+            socket.off("typing:start");
+            socket.off("typing:stop");
+            Object.values(timers).forEach(clearTimeout);
+        };
+    }, [socket]);
+
+    const notifyContactRequest = useEffectEvent((from, viaMessage) => {
+        if (authUser.presenceStatus === 'dnd') return;
+
+        notify({
+            title: viaMessage ? `New message request from ${from.name}` : `${from.name} wants to add you as a contact`,
+            tag: `request:${from._id}`,
+            onOpen: () => setSidebarTab('requests')
         });
+    });
+
+    // Contact requests and accepted/removed contacts from the other side
+    useEffect(() => {
+        if (!socket) return;
+
+        socket.on("contactRequest", ({ from, viaMessage }) => {
+            notifyContactRequest(from, viaMessage);
+            setContactsVersion((v) => v + 1);
+        });
+
+        socket.on("contactsChanged", () => {
+            setContactsVersion((v) => v + 1);
+        });
+
+        return () => {
+            socket.off("contactRequest");
+            socket.off("contactsChanged");
+        };
+    }, [socket]);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
 
-        return () => socket.off("newMessage");
-    }, [socket, selectedUser]);
+    // Tell the previous conversation we stopped typing when switching away
+    useEffect(() => {
+        return () => {
+            clearTimeout(typingIdleTimerRef.current);
+            if (socket && typingTargetRef.current) {
+                socket.emit("typing:stop", typingTargetRef.current);
+            }
+            typingTargetRef.current = null;
+            typingSentAtRef.current = 0;
+        };
+    }, [socket, selectedChat]);
 
-    const fetchUsers = async () => {
+    const fetchConversations = async () => {
         try {
-            setLoadingUsers(true);
-            const { data } = await axios.get('/api/message/users');
+            setLoadingConversations(true);
+            const { data } = await axios.get('/api/message/conversations');
             if (data.success) {
-                setUsers(data.users || []);
-                setUsersError(false);
+                setConversations((data.conversations || []).map(({ isGroup, group, user, ...entry }) => ({
+                    ...entry,
+                    chat: isGroup ? { ...group, isGroup: true } : user
+                })));
+                setConversationsError(false);
             }
         } catch (error) {
-            console.error('Error fetching users:', error);
-            setUsersError(true);
+            console.error('Error fetching conversations:', error);
+            setConversationsError(true);
         } finally {
-            setLoadingUsers(false);
+            setLoadingConversations(false);
+        }
+    };
+
+    const users = conversations.filter((entry) => !entry.chat.isGroup).map((entry) => entry.chat);
+    const groups = conversations.filter((entry) => entry.chat.isGroup).map((entry) => entry.chat);
+
+    // Moves a conversation to the top with `message` as its preview
+    const bumpConversation = (chatId, message, countAsUnread) => {
+        setConversations((prev) => {
+            const entry = prev.find((e) => e.chat._id === chatId);
+            if (!entry) return prev;
+
+            const updated = {
+                ...entry,
+                lastMessage: message,
+                updatedAt: message.createdAt,
+                unread: countAsUnread ? entry.unread + 1 : entry.unread
+            };
+            return [updated, ...prev.filter((e) => e !== entry)];
+        });
+    };
+
+    const updateConversationPreview = (messageId, changes) => {
+        setConversations((prev) => prev.map((entry) => (
+            entry.lastMessage?._id === messageId
+                ? { ...entry, lastMessage: { ...entry.lastMessage, ...changes } }
+                : entry
+        )));
+    };
+
+    const fetchContactRequests = async () => {
+        try {
+            const { data } = await axios.get('/api/contacts/requests');
+            if (data.success) {
+                setContactRequests({ incoming: data.incoming || [], outgoing: data.outgoing || [] });
+            }
+        } catch (error) {
+            console.error('Error fetching contact requests:', error);
         }
     };
 
-    const fetchMessages = async (userId) => {
+    const getMessagesUrl = (chat) => (
+        chat.isGroup ? `/api/message/group/${chat._id}` : `/api/message/${chat._id}`
+    );
+
+    // Loads the latest page, or the page centred on aroundId when jumping to a search hit
+    const fetchMessages = async (chat, aroundId = null) => {
+        activeChatRef.current = chat._id;
+        nearBottomRef.current = !aroundId;
         try {
             setLoadingMessages(true);
-            const { data } = await axios.get(`/api/message/${userId}`);
-            // Backend returns array directly or wrapped in success object
-            const messagesArray = Array.isArray(data) ? data : (data.messages || data.data || []);
-            setMessages(messagesArray);
+            const { data } = await axios.get(getMessagesUrl(chat), {
+                params: aroundId ? { around: aroundId } : undefined
+            });
+            if (activeChatRef.current !== chat._id) return;
+            setMessages(data.messages || []);
+            setHasMoreMessages(Boolean(data.hasMore));
+            setHasNewerMessages(Boolean(data.hasNewer));
+            if (aroundId) setHighlightedMessageId(aroundId);
         } catch (error) {
             console.error('Error fetching messages:', error);
             setMessages([]);
+            setHasMoreMessages(false);
+            setHasNewerMessages(false);
         } finally {
             setLoadingMessages(false);
         }
     };
 
-    const handleSendMessage = async (e) => {
-        e.preventDefault();
-        if (!messageInput.trim() || !selectedUser) return;
+    const loadOlderMessages = async () => {
+        const oldest = messages.find((m) => m._id);
+        if (!selectedChat || !oldest || loadingOlder) return;
+
+        const chatId = selectedChat._id;
+        try {
+            setLoadingOlder(true);
+            const { data } = await axios.get(getMessagesUrl(selectedChat), {
+                params: { before: oldest._id }
+            });
+            if (activeChatRef.current !== chatId) return;
+
+            const container = messagesContainerRef.current;
+            if (container) {
+                scrollRestoreRef.current = {
+                    scrollHeight: container.scrollHeight,
+                    scrollTop: container.scrollTop
+                };
+            }
+            setMessages((prev) => [...(data.messages || []), ...prev]);
+            setHasMoreMessages(Boolean(data.hasMore));
+        } catch (error) {
+            console.error('Error loading older messages:', error);
+        } finally {
+            setLoadingOlder(false);
+        }
+    };
+
+    const loadNewerMessages = async () => {
+        const newest = messages[messages.length - 1];
+        if (!selectedChat || !newest || loadingNewer) return;
+
+        const chatId = selectedChat._id;
+        try {
+            setLoadingNewer(true);
+            const { data } = await axios.get(getMessagesUrl(selectedChat), {
+                params: { after: newest._id }
+            });
+            if (activeChatRef.current !== chatId) return;
+
+            setMessages((prev) => [...prev, ...(data.messages || []).filter((m) => !prev.some((p) => p._id === m._id))]);
+            setHasNewerMessages(Boolean(data.hasMore));
+        } catch (error) {
+            console.error('Error loading newer messages:', error);
+        } finally {
+            setLoadingNewer(false);
+        }
+    };
+
+    const handleMessagesScroll = (e) => {
+        const container = e.currentTarget;
+        const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+        nearBottomRef.current = distanceFromBottom < 80 && !hasNewerMessages;
+
+        if (container.scrollTop < 80 && hasMoreMessages && !loadingOlder && !loadingMessages) {
+            loadOlderMessages();
+        }
+
+        if (distanceFromBottom < 80 && hasNewerMessages && !loadingNewer && !loadingMessages) {
+            loadNewerMessages();
+        }
+    };
+
+    const runSearch = async (page, query = searchQuery, filters = searchFilters) => {
+        const q = query.trim();
+        const { partner, from, to, hasAttachment } = filters;
+
+        try {
+            setSearching(true);
+            const { data } = await axios.get('/api/message/search', {
+                params: {
+                    q,
+                    page,
+                    partner: partner || undefined,
+                    from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+                    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+                    hasAttachment: hasAttachment || undefined
+                }
+            });
+
+            if (data.success) {
+                setSearchResults((prev) => (page === 1 ? data.results : [...prev, ...data.results]));
+                setSearchPage(page);
+                setSearchHasMore(Boolean(data.hasMore));
+            }
+        } catch (error) {
+            console.error('Error searching messages:', error);
+            toast.error(error.response?.data?.message || 'Search failed');
+        } finally {
+            setSearching(false);
+        }
+    };
+
+    // Re-runs the search shortly after the query or filters stop changing
+    const updateSearch = (query, filters) => {
+        setSearchQuery(query);
+        setSearchFilters(filters);
+        clearTimeout(searchTimerRef.current);
+
+        if (!query.trim()) {
+            setSearchResults([]);
+            setSearchHasMore(false);
+            return;
+        }
+
+        searchTimerRef.current = setTimeout(() => runSearch(1, query, filters), SEARCH_DEBOUNCE_MS);
+    };
+
+    const updateSearchFilter = (name, value) => {
+        updateSearch(searchQuery, { ...searchFilters, [name]: value });
+    };
+
+    const clearSearch = () => {
+        updateSearch('', EMPTY_SEARCH_FILTERS);
+        setShowSearchFilters(false);
+    };
+
+    // Direct results name the other participant; group results name the group
+    const getResultChat = (result) => {
+        if (result.groupId) {
+            return groups.find((group) => group._id === result.groupId._id)
+                || { ...result.groupId, isGroup: true };
+        }
+
+        const partner = result.senderId?._id === authUser._id ? result.receiverId : result.senderId;
+        return users.find((user) => user._id === partner?._id) || partner;
+    };
+
+    const openSearchResult = (result) => {
+        const chat = getResultChat(result);
+        if (!chat) return;
+
+        if (selectedChat?._id === chat._id) {
+            if (messages.some((m) => m._id === result._id)) {
+                setHighlightedMessageId(result._id);
+            } else {
+                fetchMessages(selectedChat, result._id);
+            }
+            return;
+        }
+
+        pendingJumpRef.current = result._id;
+        selectChat(chat);
+    };
+
+    const renderSnippet = ({ text, highlights }) => {
+        const parts = [];
+        let cursor = 0;
+        highlights.forEach(({ start, end }) => {
+            if (start > cursor) parts.push(text.slice(cursor, start));
+            parts.push(
+                <mark key={start} className="bg-indigo-500/40 text-white rounded px-0.5">
+                    {text.slice(start, end)}
+                </mark>
+            );
+            cursor = end;
+        });
+        parts.push(text.slice(cursor));
+        return parts;
+    };
+
+    // Shows our own send at the bottom; if we were reading older history, jump back to the latest page
+    // `chat` is where the message went, which may no longer be the open chat
+    const appendSentMessage = (sent, chat = selectedChat) => {
+        const messageToAdd = chat.isGroup ? sent : { ...sent, senderId: authUser._id };
+
+        // Writing to someone new starts a conversation, which puts them in the sidebar
+        if (conversations.some((entry) => entry.chat._id === chat._id)) {
+            bumpConversation(chat._id, messageToAdd, false);
+        } else {
+            fetchConversations();
+        }
+
+        if (activeChatRef.current !== chat._id) return;
+
+        if (hasNewerMessages) {
+            fetchMessages(chat);
+            return;
+        }
+
+        nearBottomRef.current = true;
+        setMessages((prev) => prev.some((m) => m._id === messageToAdd._id) ? prev : [...prev, messageToAdd]);
+    };
+
+    const updateOutboxEntry = (clientMessageId, changes) => {
+        setOutbox((prev) => prev.map((entry) => (
+            entry.clientMessageId === clientMessageId ? { ...entry, ...changes } : entry
+        )));
+    };
+
+    const removeOutboxEntry = (clientMessageId) => {
+        setOutbox((prev) => prev.filter((entry) => entry.clientMessageId !== clientMessageId));
+    };
+
+    // Posts an outbox entry; the clientMessageId makes the server store it only once,
+    // however often this runs
+    const deliverOutboxEntry = async (entry) => {
+        updateOutboxEntry(entry.clientMessageId, { state: 'sending', reason: null });
+        try {
+            const url = entry.isGroup
+                ? `/api/message/send/group-message/${entry.chatId}`
+                : `/api/message/send/text-message/${entry.chatId}`;
+            const { data } = await axios.post(url, {
+                message: entry.message,
+                replyTo: entry.replyTo?._id,
+                clientMessageId: entry.clientMessageId
+            });
+
+            if (data.success) {
+                removeOutboxEntry(entry.clientMessageId);
+                appendSentMessage(data.data, { _id: entry.chatId, isGroup: entry.isGroup });
+            }
+        } catch (error) {
+            console.error('Error sending message:', error);
+            // Without a response the network is to blame, and a reconnect retries it
+            const reason = error.response ? error.response.data?.message || 'Could not send message' : null;
+            updateOutboxEntry(entry.clientMessageId, { state: 'failed', reason });
+            if (reason) toast.error(reason);
+        }
+    };
+
+    const retrySend = (clientMessageId) => {
+        const entry = outbox.find((e) => e.clientMessageId === clientMessageId);
+        if (entry) deliverOutboxEntry(entry);
+    };
+
+    // The message shows up at once as "sending" and is swapped for the server's copy once acknowledged
+    const handleSendMessage = async (e) => {
+        e.preventDefault();
+        if (!messageInput.trim() || !selectedChat) return;
+
+        if (editingMessage) {
+            await handleEditMessage();
+            return;
+        }
+
+        const entry = {
+            clientMessageId: createClientMessageId(),
+            chatId: selectedChat._id,
+            isGroup: Boolean(selectedChat.isGroup),
+            message: messageInput,
+            replyTo: replyingTo,
+            createdAt: new Date().toISOString(),
+            state: 'sending',
+            reason: null
+        };
+
+        stopTyping();
+        nearBottomRef.current = true;
+        setOutbox((prev) => [...prev, entry]);
+        setMessageInput('');
+        setReplyingTo(null);
+
+        await deliverOutboxEntry(entry);
+    };
+
+    // The composer text goes along as the attachment's caption
+    const handleAttachmentSelected = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file || !selectedChat) return;
+
+        const formData = new FormData();
+        formData.append('attachment', file);
+        if (messageInput.trim()) formData.append('caption', messageInput.trim());
+        if (replyingTo) formData.append('replyTo', replyingTo._id);
+
+        const url = selectedChat.isGroup
+            ? `/api/message/send/group-attachment/${selectedChat._id}`
+            : `/api/message/send/attachment/${selectedChat._id}`;
+
+        setUploadProgress(0);
+        stopTyping();
+        try {
+            const { data } = await axios.post(url, formData, {
+                onUploadProgress: (event) => {
+                    setUploadProgress(Math.round((event.loaded * 100) / (event.total || file.size)));
+                }
+            });
+
+            if (data.success) {
+                appendSentMessage(data.data);
+                setMessageInput('');
+                setReplyingTo(null);
+            }
+        } catch (error) {
+            console.error('Error sending attachment:', error);
+            toast.error(error.response?.data?.message || 'Could not send attachment');
+        } finally {
+            setUploadProgress(null);
+        }
+    };
+
+    const formatFileSize = (bytes) => {
+        if (!bytes) return '';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    };
+
+    const renderAttachment = (message) => {
+        const { attachment, attachmentMeta } = message;
+        const mimeType = attachmentMeta?.mimeType || '';
+
+        if (mimeType.startsWith('image/')) {
+            return (
+                <a href={attachment} target="_blank" rel="noreferrer">
+                    <img
+                        src={attachment}
+                        alt={attachmentMeta.fileName}
+                        className="max-w-[260px] max-h-[260px] rounded-lg object-cover mb-1"
+                    />
+                </a>
+            );
+        }
+
+        if (mimeType.startsWith('audio/')) {
+            return <audio controls src={attachment} className="w-64 mb-1" />;
+        }
+
+        if (mimeType.startsWith('video/')) {
+            return <video controls src={attachment} className="max-w-[300px] max-h-[260px] rounded-lg mb-1" />;
+        }
+
+        return (
+            <a
+                href={attachment}
+                target="_blank"
+                rel="noreferrer"
+                className="flex items-center gap-3 mb-1 px-3 py-2 rounded-lg bg-black/20 hover:bg-black/30 transition-all"
+            >
+                <span className="text-2xl">📄</span>
+                <span className="min-w-0">
+                    <span className="block text-sm truncate max-w-[200px]">{attachmentMeta?.fileName || 'Attachment'}</span>
+                    <span className="block text-xs text-white/60">{formatFileSize(attachmentMeta?.size)}</span>
+                </span>
+            </a>
+        );
+    };
+
+    const handleEditMessage = async () => {
+        setSending(true);
+        try {
+            const { data } = await axios.patch(`/api/message/${editingMessage._id}`, {
+                message: messageInput
+            });
+
+            if (data.success) {
+                const { message, editedAt, edits } = data.data;
+                setMessages((prev) => prev.map((m) => (
+                    m._id === editingMessage._id ? { ...m, message, editedAt, edits } : m
+                )));
+                cancelEditing();
+            }
+        } catch (error) {
+            console.error('Error editing message:', error);
+            toast.error(error.response?.data?.message || 'Could not edit message');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const selectChat = (chat) => {
+        setSelectedChat(chat);
+        // Opening a chat reads it; the server clears its counter as the messages load
+        setConversations((prev) => prev.map((entry) => (
+            entry.chat._id === chat._id ? { ...entry, unread: 0 } : entry
+        )));
+        setEditingMessage(null);
+        setReplyingTo(null);
+        setMessageInput('');
+        setShowChatMenu(false);
+    };
+
+    const startEditing = (message) => {
+        setReplyingTo(null);
+        setEditingMessage(message);
+        setMessageInput(message.message);
+    };
+
+    const startReply = (message) => {
+        if (message.deletedForEveryone || message.systemMessage) return;
+        if (editingMessage) cancelEditing();
+        setReplyingTo(message);
+    };
+
+    const handleTouchStart = (e) => {
+        const touch = e.touches[0];
+        touchStartRef.current = { x: touch.clientX, y: touch.clientY };
+    };
+
+    const handleTouchEnd = (e, message) => {
+        const start = touchStartRef.current;
+        touchStartRef.current = null;
+        if (!start) return;
+
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - start.x;
+        const dy = Math.abs(touch.clientY - start.y);
+        if (dx > SWIPE_REPLY_PX && dy < SWIPE_REPLY_PX / 2) {
+            startReply(message);
+        }
+    };
+
+    // Scrolls to a quoted message, paging back through history if it is not loaded yet
+    const jumpToMessage = async (messageId) => {
+        if (!messages.some((m) => m._id === messageId)) {
+            let older = [];
+            let cursor = messages.find((m) => m._id)?._id;
+            let more = hasMoreMessages;
+
+            try {
+                for (let page = 0; page < MAX_JUMP_PAGES && more && cursor; page++) {
+                    const { data } = await axios.get(getMessagesUrl(selectedChat), {
+                        params: { before: cursor, limit: 100 }
+                    });
+                    older = [...(data.messages || []), ...older];
+                    more = Boolean(data.hasMore);
+                    cursor = data.messages?.[0]?._id;
+                    if (older.some((m) => m._id === messageId)) break;
+                }
+            } catch (error) {
+                console.error('Error loading history:', error);
+            }
+
+            if (older.length > 0) {
+                nearBottomRef.current = false;
+                setMessages((prev) => [...older, ...prev]);
+                setHasMoreMessages(more);
+            }
+
+            if (!older.some((m) => m._id === messageId)) {
+                toast.error('Original message is not available');
+                return;
+            }
+        }
+
+        setHighlightedMessageId(messageId);
+    };
+
+    const getQuoteAuthor = (quoted) => {
+        const senderId = getSenderId(quoted);
+        if (senderId === authUser._id) return 'You';
+        return quoted.senderId?.name || selectedChat?.name;
+    };
+
+    const getQuoteText = (quoted) => {
+        if (quoted.deletedForEveryone) return 'This message was deleted';
+        return quoted.message || (quoted.attachment ? '📎 Attachment' : '');
+    };
+
+    const cancelEditing = () => {
+        setEditingMessage(null);
+        setMessageInput('');
+    };
+
+    const setReactions = (messageId, reactions) => {
+        setMessages((prev) => prev.map((m) => (m._id === messageId ? { ...m, reactions } : m)));
+    };
+
+    const handleReact = async (message, emoji) => {
+        try {
+            const { data } = await axios.put(`/api/message/${message._id}/react`, { emoji });
+            if (data.success) {
+                setReactions(data.messageId, data.reactions);
+            }
+        } catch (error) {
+            console.error('Error reacting to message:', error);
+            toast.error(error.response?.data?.message || 'Could not react to message');
+        }
+    };
+
+    // [{ emoji, count, mine }] in the order each emoji was first used
+    const aggregateReactions = (reactions = []) => {
+        const byEmoji = new Map();
+        reactions.forEach(({ userId, emoji }) => {
+            const entry = byEmoji.get(emoji) || { emoji, count: 0, mine: false };
+            entry.count += 1;
+            entry.mine = entry.mine || userId === authUser._id;
+            byEmoji.set(emoji, entry);
+        });
+        return [...byEmoji.values()];
+    };
+
+    const applyDeletion = ({ messageId, scope, message, deletedAt }) => {
+        if (scope === 'me') {
+            setMessages((prev) => prev.filter((m) => m._id !== messageId));
+            return;
+        }
+
+        setMessages((prev) => prev.map((m) => (
+            m._id === messageId
+                ? { ...m, message, deletedAt, deletedForEveryone: true, attachment: undefined, edits: [], editedAt: null, reactions: [] }
+                : m
+        )));
+    };
+
+    const handleDeleteMessage = async (message, scope) => {
+        try {
+            const { data } = await axios.delete(`/api/message/${message._id}`, { params: { scope } });
+            if (data.success && scope === 'me') {
+                applyDeletion({ messageId: message._id, scope });
+            }
+            if (editingMessage?._id === message._id) {
+                cancelEditing();
+            }
+        } catch (error) {
+            console.error('Error deleting message:', error);
+            toast.error(error.response?.data?.message || 'Could not delete message');
+        }
+    };
+
+    const clearTyping = (chatKey, userId) => {
+        clearTimeout(typingExpiryRef.current[`${chatKey}:${userId}`]);
+        delete typingExpiryRef.current[`${chatKey}:${userId}`];
+
+        setTypingByChat((prev) => {
+            if (!prev[chatKey]?.[userId]) return prev;
+            const { [userId]: _removed, ...rest } = prev[chatKey];
+            return { ...prev, [chatKey]: rest };
+        });
+    };
+
+    const stopTyping = () => {
+        clearTimeout(typingIdleTimerRef.current);
+        if (socket && typingTargetRef.current) {
+            socket.emit("typing:stop", typingTargetRef.current);
+        }
+        typingTargetRef.current = null;
+        typingSentAtRef.current = 0;
+    };
+
+    const handleInputChange = (e) => {
+        setMessageInput(e.target.value);
+        if (!socket || !selectedChat) return;
+
+        const now = Date.now();
+        if (now - typingSentAtRef.current > TYPING_THROTTLE_MS) {
+            typingTargetRef.current = selectedChat.isGroup
+                ? { groupId: selectedChat._id }
+                : { to: selectedChat._id };
+            socket.emit("typing:start", typingTargetRef.current);
+            typingSentAtRef.current = now;
+        }
+
+        clearTimeout(typingIdleTimerRef.current);
+        typingIdleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+    };
+
+    const getTypingText = (chat) => {
+        const names = Object.values(typingByChat[chat._id] || {});
+        if (names.length === 0) return null;
+        if (!chat.isGroup) return 'typing…';
+        return names.length === 1 ? `${names[0]} is typing…` : `${names.join(', ')} are typing…`;
+    };
+
+    const handleLogout = async () => {
+        // Unsent messages don't outlive the session
+        localStorage.removeItem(outboxKey(authUser._id));
+        await logout();
+        navigate('/');
+    };
+
+    const handleEditUser = () => {
+        navigate('/profile');
+    };
+
+    const isMuted = (chatId) => (authUser?.mutedConversations || []).includes(chatId);
+
+    const toggleMute = async (chat) => {
+        setShowChatMenu(false);
+        const action = isMuted(chat._id) ? 'unmute' : 'mute';
+        try {
+            const { data } = await axios.put(`/api/user/${action}/${chat._id}`);
+            if (data.success) {
+                setAuthUser((prev) => ({ ...prev, mutedConversations: data.mutedConversations }));
+                toast.success(data.message);
+            }
+        } catch (error) {
+            console.error(`Error trying to ${action} conversation:`, error);
+            toast.error(error.response?.data?.error || `Could not ${action} conversation`);
+        }
+    };
+
+    const handleBlockUser = async (user) => {
+        setShowChatMenu(false);
+        if (!window.confirm(`Block ${user.name}? You won't be able to message each other.`)) return;
+
+        try {
+            const { data } = await axios.put(`/api/user/block/${user._id}`);
+            if (data.success) {
+                setConversations((prev) => prev.filter((entry) => entry.chat._id !== user._id));
+                setSelectedChat((prev) => (prev?._id === user._id ? null : prev));
+                toast.success(`${user.name} blocked`);
+            }
+        } catch (error) {
+            console.error('Error blocking user:', error);
+            toast.error(error.response?.data?.error || 'Could not block user');
+        }
+    };
+
+    const openBlockedUsers = async () => {
+        setShowUserMenu(false);
+        setShowBlockedUsers(true);
+        try {
+            setLoadingBlocked(true);
+            const { data } = await axios.get('/api/user/blocked');
+            if (data.success) {
+                setBlockedUsers(data.blockedUsers || []);
+            }
+        } catch (error) {
+            console.error('Error fetching blocked users:', error);
+            toast.error('Could not load blocked users');
+        } finally {
+            setLoadingBlocked(false);
+        }
+    };
+
+    const handleUnblockUser = async (user) => {
+        try {
+            const { data } = await axios.put(`/api/user/unblock/${user._id}`);
+            if (data.success) {
+                setBlockedUsers((prev) => prev.filter((u) => u._id !== user._id));
+                fetchConversations();
+                toast.success(`${user.name} unblocked`);
+            }
+        } catch (error) {
+            console.error('Error unblocking user:', error);
+            toast.error(error.response?.data?.error || 'Could not unblock user');
+        }
+    };
+
+    const isContact = (userId) => users.some((user) => user._id === userId && user.isContact);
+
+    // Incoming request from the open direct chat, if it is still waiting in message requests
+    const getPendingRequest = (chat) => (
+        chat && !chat.isGroup
+            ? contactRequests.incoming.find((request) => request.from._id === chat._id)
+            : null
+    );
+
+    const openFindPeople = () => {
+        setShowUserMenu(false);
+        setShowFindPeople(true);
+        setPeopleQuery('');
+        setPeopleResults([]);
+    };
+
+    // Looks people up by username prefix or exact email once the input settles
+    const updatePeopleQuery = (query) => {
+        setPeopleQuery(query);
+        clearTimeout(peopleTimerRef.current);
+
+        if (query.trim().length < MIN_PEOPLE_QUERY) {
+            setPeopleResults([]);
+            return;
+        }
+
+        peopleTimerRef.current = setTimeout(async () => {
+            try {
+                setSearchingPeople(true);
+                const { data } = await axios.get('/api/contacts/search', { params: { q: query.trim() } });
+                if (data.success) {
+                    setPeopleResults(data.users || []);
+                }
+            } catch (error) {
+                console.error('Error searching people:', error);
+                toast.error(error.response?.data?.error || error.response?.data?.message || 'Search failed');
+            } finally {
+                setSearchingPeople(false);
+            }
+        }, SEARCH_DEBOUNCE_MS);
+    };
+
+    // Also accepts, when the other user already asked us
+    const sendContactRequest = async (user) => {
+        setShowChatMenu(false);
+        try {
+            const { data } = await axios.post('/api/contacts/requests', { userId: user._id });
+            if (data.success) {
+                setPeopleResults((prev) => prev.map((u) => (u._id === user._id ? { ...u, relation: data.relation } : u)));
+                if (data.relation === 'contact') fetchConversations();
+                fetchContactRequests();
+                toast.success(data.message);
+            }
+        } catch (error) {
+            console.error('Error sending contact request:', error);
+            toast.error(error.response?.data?.error || 'Could not send contact request');
+        }
+    };
+
+    const respondToRequest = async (request, action) => {
+        try {
+            const { data } = await axios.put(`/api/contacts/requests/${request._id}/${action}`);
+            if (data.success) {
+                setContactRequests((prev) => ({
+                    ...prev,
+                    incoming: prev.incoming.filter((r) => r._id !== request._id)
+                }));
+                if (action === 'accept') {
+                    fetchConversations();
+                } else {
+                    setSelectedChat((prev) => (prev?._id === request.from._id ? null : prev));
+                }
+                toast.success(data.message);
+            }
+        } catch (error) {
+            console.error(`Error trying to ${action} contact request:`, error);
+            toast.error(error.response?.data?.error || `Could not ${action} request`);
+        }
+    };
+
+    const cancelContactRequest = async (request) => {
+        try {
+            const { data } = await axios.delete(`/api/contacts/requests/${request._id}`);
+            if (data.success) {
+                setContactRequests((prev) => ({
+                    ...prev,
+                    outgoing: prev.outgoing.filter((r) => r._id !== request._id)
+                }));
+                toast.success(data.message);
+            }
+        } catch (error) {
+            console.error('Error cancelling contact request:', error);
+            toast.error(error.response?.data?.error || 'Could not cancel request');
+        }
+    };
+
+    const handleRemoveContact = async (user) => {
+        setShowChatMenu(false);
+        if (!window.confirm(`Remove ${user.name} from your contacts?`)) return;
+
+        try {
+            const { data } = await axios.delete(`/api/contacts/${user._id}`);
+            if (data.success) {
+                fetchConversations();
+                toast.success(data.message);
+            }
+        } catch (error) {
+            console.error('Error removing contact:', error);
+            toast.error(error.response?.data?.error || 'Could not remove contact');
+        }
+    };
+
+    const openPersonChat = (user) => {
+        setShowFindPeople(false);
+        setSidebarTab('chats');
+        clearSearch();
+        selectChat(users.find((u) => u._id === user._id) || user);
+    };
+
+    // Sidebar preview: who wrote the latest message and what it says
+    const getPreviewText = (chat, lastMessage) => {
+        if (!lastMessage) return chat.isGroup ? `${chat.headCount} members` : `@${chat.username}`;
+        if (lastMessage.deletedForEveryone) return 'This message was deleted';
+
+        const text = lastMessage.message || `📎 ${lastMessage.attachmentMeta?.fileName || 'Attachment'}`;
+        if (lastMessage.systemMessage) return text;
+        if (getSenderId(lastMessage) === authUser._id) return `You: ${text}`;
+        return chat.isGroup ? `${lastMessage.senderId?.name}: ${text}` : text;
+    };
+
+    // Time of day for today's activity, the date before that
+    const formatConversationTime = (date) => {
+        if (!date) return '';
+        const options = { timeZone: 'Asia/Kolkata' };
+        const day = (d) => new Date(d).toLocaleDateString('en-IN', options);
+
+        return day(date) === day(Date.now())
+            ? new Date(date).toLocaleTimeString('en-IN', { ...options, hour: '2-digit', minute: '2-digit' })
+            : day(date);
+    };
+
+    // Custom status text, unless it has expired
+    const getStatusText = (entry) => {
+        if (!entry?.statusText) return '';
+        if (entry.statusExpiresAt && new Date(entry.statusExpiresAt).getTime() <= now) return '';
+        return entry.statusText;
+    };
+
+    const formatLastSeen = (date) => {
+        if (!date) return '';
+        const minutes = Math.floor((now - new Date(date).getTime()) / 60000);
+
+        if (minutes < 1) return 'last seen just now';
+        if (minutes < 60) return `last seen ${minutes} min ago`;
+        if (minutes < 24 * 60) return `last seen ${Math.floor(minutes / 60)} h ago`;
+        return `last seen ${formatConversationTime(date)}`;
+    };
+
+    // "Away · In a meeting", "last seen 5 min ago"; empty for people who aren't contacts
+    const getPresenceLine = (userId) => {
+        const entry = presence[userId];
+        if (!entry) return '';
+
+        const state = entry.status === 'offline'
+            ? formatLastSeen(entry.lastSeenAt)
+            : PRESENCE_STYLES[entry.status]?.label;
+        return [state, getStatusText(entry)].filter(Boolean).join(' · ');
+    };
+
+    const renderStatusDot = (status, sizeClass = 'w-3.5 h-3.5') => {
+        const style = PRESENCE_STYLES[status];
+        if (!style?.dot) return null;
+        return (
+            <span
+                title={style.label}
+                className={`absolute bottom-0 right-0 ${sizeClass} rounded-full ring-2 ring-slate-900 ${style.dot}`}
+            />
+        );
+    };
 
-        setSending(true);
-        try {
-            const { data } = await axios.post(`/api/message/send/text-message/${selectedUser._id}`, {
-                message: messageInput
-            });
+    // Our own status as the server last described it, or as we picked it
+    const ownStatus = presence[authUser?._id]?.status || authUser?.presenceStatus || 'online';
 
-            if (data.success) {
-                const messageToAdd = {
-                    ...data.data,
-                    senderId: authUser._id
-                };
-                setMessages([...messages, messageToAdd]);
-                setMessageInput('');
-            }
-        } catch (error) {
-            console.error('Error sending message:', error);
-        } finally {
-            setSending(false);
-        }
+    const enableNotifications = async () => {
+        setShowUserMenu(false);
+        const permission = await requestNotificationPermission();
+        setNotificationPermission(permission);
+
+        if (permission === 'granted') toast.success('Notifications enabled');
+        else if (permission === 'denied') toast.error('Notifications are blocked in your browser settings');
     };
 
-    const handleLogout = async () => {
-        await logout();
-        navigate('/');
+    const openStatusEditor = () => {
+        setShowUserMenu(false);
+        setStatusDraft({
+            status: authUser.presenceStatus || 'online',
+            text: getStatusText(authUser),
+            expiresIn: null
+        });
+        setShowStatusEditor(true);
     };
 
-    const handleEditUser = () => {
-        navigate('/profile');
+    const saveStatus = async (draft = statusDraft) => {
+        const text = draft.text.trim();
+        setSavingStatus(true);
+        const result = await setStatus({
+            status: draft.status,
+            statusText: text,
+            statusExpiresAt: text && draft.expiresIn
+                ? new Date(Date.now() + draft.expiresIn * 60 * 1000).toISOString()
+                : null
+        });
+        setSavingStatus(false);
+
+        if (result) setShowStatusEditor(false);
+    };
+
+    // Group messages arrive with the sender populated, direct messages with a bare id
+    const getSenderId = (message) => message.senderId?._id || message.senderId;
+
+    // ✓ sent, ✓✓ delivered, blue ✓✓ seen
+    const renderTicks = (message) => {
+        const status = message.status || (message.seen ? 'seen' : 'sent');
+        return (
+            <span
+                title={status.charAt(0).toUpperCase() + status.slice(1)}
+                className={`tracking-[-0.3em] ${status === 'seen' ? 'text-sky-300' : 'text-white/70'}`}
+            >
+                {status === 'sent' ? '✓' : '✓✓'}
+            </span>
+        );
     };
 
+    // Stands in for the ticks until the server has the message
+    const renderSendState = (message) => (
+        message.sendState === 'sending'
+            ? <span title="Sending">🕓</span>
+            : <span title="Not sent" className="text-red-200 font-bold">!</span>
+    );
+
+    // Unacknowledged sends of the open chat, shaped like messages and listed after them.
+    // While older history is shown they wait, like any other new message.
+    const pendingMessages = selectedChat && !hasNewerMessages
+        ? outbox
+            .filter((entry) => entry.chatId === selectedChat._id)
+            .map((entry) => ({
+                _id: entry.clientMessageId,
+                clientMessageId: entry.clientMessageId,
+                senderId: authUser._id,
+                message: entry.message,
+                replyTo: entry.replyTo,
+                createdAt: entry.createdAt,
+                sendState: entry.state,
+                sendError: entry.reason
+            }))
+        : [];
+    const visibleMessages = [...messages, ...pendingMessages];
+
     const getInitials = (name) => {
         if (!name) return 'U';
         return name
@@ -150,23 +1503,26 @@ function ChatPage() {
                 {/* Current User Header */}
                 <div className="p-6 border-b border-white/10 relative">
                     <div className="flex items-center gap-4">
-                        {authUser?.avatar ? (
-                            <img
-                                src={authUser.avatar}
-                                alt={authUser.name}
-                                className="w-14 h-14 rounded-full object-cover ring-2 ring-indigo-500/50"
-                            />
-                        ) : (
-                            <div className={`w-14 h-14 rounded-full bg-gradient-to-br ${getAvatarColor(authUser._id)} flex items-center justify-center text-white font-bold text-lg ring-2 ring-indigo-500/50`}>
-                                {getInitials(authUser.name)}
-                            </div>
-                        )}
+                        <button onClick={openStatusEditor} title="Set status" className="relative shrink-0">
+                            {authUser?.avatar ? (
+                                <img
+                                    src={authUser.avatar}
+                                    alt={authUser.name}
+                                    className="w-14 h-14 rounded-full object-cover ring-2 ring-indigo-500/50"
+                                />
+                            ) : (
+                                <div className={`w-14 h-14 rounded-full bg-gradient-to-br ${getAvatarColor(authUser._id)} flex items-center justify-center text-white font-bold text-lg ring-2 ring-indigo-500/50`}>
+                                    {getInitials(authUser.name)}
+                                </div>
+                            )}
+                            {renderStatusDot(ownStatus, 'w-4 h-4')}
+                        </button>
                         <div className="flex-1 min-w-0">
                             <h2 className="text-white font-semibold text-lg truncate">
                                 {authUser?.name || 'Loading...'}
                             </h2>
                             <p className="text-white/50 text-sm truncate">
-                                @{authUser?.username || 'username'}
+                                {getStatusText(authUser) || `@${authUser?.username || 'username'}`}
                             </p>
                         </div>
 
@@ -203,6 +1559,42 @@ function ChatPage() {
                                 </svg>
                                 Edit Profile
                             </button>
+                            <button
+                                onClick={openStatusEditor}
+                                className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300 flex items-center gap-3 border-b border-white/10"
+                            >
+                                <span className={`w-3 h-3 rounded-full ${PRESENCE_STYLES[ownStatus]?.dot || 'bg-slate-500'}`} />
+                                Set Status
+                            </button>
+                            {notificationPermission === 'default' && (
+                                <button
+                                    onClick={enableNotifications}
+                                    className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300 flex items-center gap-3 border-b border-white/10"
+                                >
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                                    </svg>
+                                    Enable Notifications
+                                </button>
+                            )}
+                            <button
+                                onClick={openFindPeople}
+                                className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300 flex items-center gap-3 border-b border-white/10"
+                            >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
+                                </svg>
+                                Find People
+                            </button>
+                            <button
+                                onClick={openBlockedUsers}
+                                className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300 flex items-center gap-3 border-b border-white/10"
+                            >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
+                                </svg>
+                                Blocked Users
+                            </button>
                             <button
                                 onClick={handleLogout}
                                 className="w-full px-4 py-3 text-left text-red-400 hover:bg-white/10 transition-all duration-300 flex items-center gap-3"
@@ -216,123 +1608,662 @@ function ChatPage() {
                     )}
                 </div>
 
-                {/* Users List */}
+                {/* Message Search */}
+                <div className="px-4 py-3 border-b border-white/10 space-y-2">
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="search"
+                            value={searchQuery}
+                            onChange={(e) => updateSearch(e.target.value, searchFilters)}
+                            placeholder="Search messages"
+                            className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-sm text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                        <button
+                            type="button"
+                            onClick={() => setShowSearchFilters((prev) => !prev)}
+                            title="Search filters"
+                            className={`px-3 py-2 rounded-lg text-sm transition-all ${showSearchFilters ? 'bg-indigo-500/40 text-white' : 'text-white/60 hover:bg-white/10'}`}
+                        >
+                            ⚙
+                        </button>
+                    </div>
+                    {showSearchFilters && (
+                        <div className="space-y-2 text-sm">
+                            <select
+                                value={searchFilters.partner}
+                                onChange={(e) => updateSearchFilter('partner', e.target.value)}
+                                className="w-full bg-slate-800 border border-white/20 rounded-lg px-3 py-2 text-white focus:outline-none"
+                            >
+                                <option value="">All conversations</option>
+                                {groups.map((group) => (
+                                    <option key={group._id} value={group._id}>{group.name}</option>
+                                ))}
+                                {users.map((user) => (
+                                    <option key={user._id} value={user._id}>{user.name}</option>
+                                ))}
+                            </select>
+                            <div className="flex items-center gap-2 text-white/60">
+                                <input
+                                    type="date"
+                                    value={searchFilters.from}
+                                    onChange={(e) => updateSearchFilter('from', e.target.value)}
+                                    className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white [color-scheme:dark]"
+                                />
+                                <span>to</span>
+                                <input
+                                    type="date"
+                                    value={searchFilters.to}
+                                    onChange={(e) => updateSearchFilter('to', e.target.value)}
+                                    className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white [color-scheme:dark]"
+                                />
+                            </div>
+                            <label className="flex items-center gap-2 text-white/70">
+                                <input
+                                    type="checkbox"
+                                    checked={searchFilters.hasAttachment}
+                                    onChange={(e) => updateSearchFilter('hasAttachment', e.target.checked)}
+                                />
+                                Has attachment
+                            </label>
+                        </div>
+                    )}
+                </div>
+
+                {/* Chats / Requests */}
+                {!searchQuery.trim() && (
+                    <div className="flex items-center gap-1 px-4 py-2 border-b border-white/10 text-sm">
+                        <button
+                            onClick={() => setSidebarTab('chats')}
+                            className={`px-3 py-1.5 rounded-lg transition-all ${sidebarTab === 'chats' ? 'bg-indigo-500/40 text-white' : 'text-white/60 hover:bg-white/10'}`}
+                        >
+                            Chats
+                        </button>
+                        <button
+                            onClick={() => {
+                                setSidebarTab('requests');
+                                fetchContactRequests();
+                            }}
+                            className={`px-3 py-1.5 rounded-lg transition-all ${sidebarTab === 'requests' ? 'bg-indigo-500/40 text-white' : 'text-white/60 hover:bg-white/10'}`}
+                        >
+                            Requests
+                            {contactRequests.incoming.length > 0 && (
+                                <span className="ml-1.5 px-1.5 py-0.5 rounded-full bg-pink-500 text-white text-xs">
+                                    {contactRequests.incoming.length}
+                                </span>
+                            )}
+                        </button>
+                        <button
+                            onClick={openFindPeople}
+                            title="Find people"
+                            className="ml-auto px-3 py-1.5 rounded-lg text-indigo-300 hover:bg-white/10 transition-all"
+                        >
+                            + Add
+                        </button>
+                    </div>
+                )}
+
+                {/* Search Results */}
+                {searchQuery.trim() ? (
+                    <div className="flex-1 overflow-y-auto">
+                        <div className="flex items-center justify-between px-4 py-2 text-xs text-white/50">
+                            <span>{searching ? 'Searching…' : `${searchResults.length}${searchHasMore ? '+' : ''} results`}</span>
+                            <button onClick={clearSearch} className="hover:text-white transition-colors">Clear</button>
+                        </div>
+                        {!searching && searchResults.length === 0 ? (
+                            <p className="px-6 py-8 text-center text-white/50 text-sm">No messages found</p>
+                        ) : (
+                            <div className="divide-y divide-white/5">
+                                {searchResults.map((result) => (
+                                    <button
+                                        key={result._id}
+                                        onClick={() => openSearchResult(result)}
+                                        className="w-full px-4 py-3 text-left hover:bg-white/5 transition-all"
+                                    >
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span className="text-white text-sm font-medium truncate">
+                                                {getResultChat(result)?.name}
+                                            </span>
+                                            <span className="text-white/40 text-xs shrink-0">
+                                                {new Date(result.createdAt).toLocaleDateString()}
+                                            </span>
+                                        </div>
+                                        <p className="text-white/60 text-sm mt-1 break-words">
+                                            <span className="text-white/40">
+                                                {result.senderId?._id === authUser._id ? 'You' : result.senderId?.name}:{' '}
+                                            </span>
+                                            {renderSnippet(result.snippet)}
+                                            {result.attachment && <span className="ml-1">📎</span>}
+                                        </p>
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {searchHasMore && (
+                            <button
+                                onClick={() => runSearch(searchPage + 1)}
+                                disabled={searching}
+                                className="w-full py-3 text-indigo-400 text-sm hover:text-indigo-300 transition-colors disabled:opacity-50"
+                            >
+                                Load more
+                            </button>
+                        )}
+                    </div>
+                ) : sidebarTab === 'requests' ? (
+                /* Contact and Message Requests */
+                <div className="flex-1 overflow-y-auto">
+                    {contactRequests.incoming.length === 0 && contactRequests.outgoing.length === 0 ? (
+                        <div className="flex items-center justify-center h-32 px-6 text-center">
+                            <p className="text-white/50 text-sm">No pending requests</p>
+                        </div>
+                    ) : (
+                        <>
+                            {contactRequests.incoming.length > 0 && (
+                                <p className="px-4 pt-3 pb-1 text-xs uppercase tracking-wide text-white/40">Received</p>
+                            )}
+                            <div className="divide-y divide-white/5">
+                                {contactRequests.incoming.map((request) => (
+                                    <div
+                                        key={request._id}
+                                        className={`p-4 flex items-center gap-3 ${selectedChat?._id === request.from._id ? 'bg-white/10' : ''}`}
+                                    >
+                                        <button
+                                            onClick={() => selectChat(request.from)}
+                                            className="flex-1 min-w-0 flex items-center gap-3 text-left"
+                                        >
+                                            <div className={`w-12 h-12 shrink-0 rounded-full bg-gradient-to-br ${getAvatarColor(request.from._id)} flex items-center justify-center text-white font-semibold`}>
+                                                {getInitials(request.from.name)}
+                                            </div>
+                                            <div className="min-w-0">
+                                                <h3 className="text-white font-medium truncate">
+                                                    {request.from.name}
+                                                    {request.unseen > 0 && (
+                                                        <span className="ml-1.5 px-1.5 py-0.5 rounded-full bg-pink-500 text-white text-xs">
+                                                            {request.unseen}
+                                                        </span>
+                                                    )}
+                                                </h3>
+                                                <p className="text-white/50 text-sm truncate">
+                                                    {request.lastMessage
+                                                        ? (request.lastMessage.deletedForEveryone
+                                                            ? 'This message was deleted'
+                                                            : request.lastMessage.message || '📎 Attachment')
+                                                        : `@${request.from.username} wants to connect`}
+                                                </p>
+                                            </div>
+                                        </button>
+                                        <div className="flex flex-col gap-1 shrink-0">
+                                            <button
+                                                onClick={() => respondToRequest(request, 'accept')}
+                                                className="px-3 py-1 rounded-lg text-xs text-white bg-indigo-500/60 hover:bg-indigo-500 transition-all"
+                                            >
+                                                Accept
+                                            </button>
+                                            <button
+                                                onClick={() => respondToRequest(request, 'decline')}
+                                                className="px-3 py-1 rounded-lg text-xs text-white/60 hover:bg-white/10 transition-all"
+                                            >
+                                                Decline
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                            {contactRequests.outgoing.length > 0 && (
+                                <p className="px-4 pt-3 pb-1 text-xs uppercase tracking-wide text-white/40">Sent</p>
+                            )}
+                            <div className="divide-y divide-white/5">
+                                {contactRequests.outgoing.map((request) => (
+                                    <div key={request._id} className="px-4 py-3 flex items-center gap-3">
+                                        <div className={`w-10 h-10 shrink-0 rounded-full bg-gradient-to-br ${getAvatarColor(request.to._id)} flex items-center justify-center text-white text-sm font-semibold`}>
+                                            {getInitials(request.to.name)}
+                                        </div>
+                                        <div className="flex-1 min-w-0">
+                                            <p className="text-white font-medium truncate">{request.to.name}</p>
+                                            <p className="text-white/50 text-sm truncate">@{request.to.username}</p>
+                                        </div>
+                                        <button
+                                            onClick={() => cancelContactRequest(request)}
+                                            className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:bg-white/10 transition-all"
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+                ) : (
+                /* Conversations List */
                 <div className="flex-1 overflow-y-auto">
-                    {loadingUsers ? (
+                    {loadingConversations ? (
                         <div className="flex items-center justify-center h-32">
                             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div>
                         </div>
-                    ) : usersError ? (
+                    ) : conversationsError ? (
                         <div className="flex flex-col items-center justify-center h-32 px-6 text-center">
-                            <p className="text-white/50 text-sm">Can't load users</p>
+                            <p className="text-white/50 text-sm">Can't load conversations</p>
                             <button
-                                onClick={fetchUsers}
+                                onClick={fetchConversations}
                                 className="mt-3 text-indigo-400 text-sm hover:text-indigo-300 transition-colors"
                             >
                                 Try again
                             </button>
                         </div>
-                    ) : users.length === 0 ? (
-                        <div className="flex items-center justify-center h-32 px-6 text-center">
-                            <p className="text-white/50 text-sm">No users available</p>
+                    ) : conversations.length === 0 ? (
+                        <div className="flex flex-col items-center justify-center h-32 px-6 text-center">
+                            <p className="text-white/50 text-sm">No conversations yet</p>
+                            <button
+                                onClick={openFindPeople}
+                                className="mt-3 text-indigo-400 text-sm hover:text-indigo-300 transition-colors"
+                            >
+                                Find people to chat with
+                            </button>
                         </div>
                     ) : (
                         <div className="divide-y divide-white/5">
-                            {users.map((user) => (
+                            {conversations.map(({ chat, unread, updatedAt, ...entry }) => (
                                 <button
-                                    key={user._id}
-                                    onClick={() => setSelectedUser(user)}
-                                    className={`w-full p-4 flex items-center gap-3 hover:bg-white/5 transition-all ${selectedUser?._id === user._id ? 'bg-white/10' : ''
+                                    key={chat._id}
+                                    onClick={() => selectChat(chat)}
+                                    className={`w-full p-4 flex items-center gap-3 hover:bg-white/5 transition-all ${selectedChat?._id === chat._id ? 'bg-white/10' : ''
                                         }`}
                                 >
-                                    {user.avatar ? (
-                                        <img
-                                            src={user.avatar}
-                                            alt={user.name}
-                                            className="w-12 h-12 rounded-full object-cover"
-                                        />
-                                    ) : (
-                                        <div className={`w-12 h-12 rounded-full bg-gradient-to-br ${getAvatarColor(user._id)} flex items-center justify-center text-white font-semibold`}>
-                                            {getInitials(user.name)}
-                                        </div>
-                                    )}
+                                    <div className="relative shrink-0">
+                                        {chat.avatar ? (
+                                            <img
+                                                src={chat.avatar}
+                                                alt={chat.name}
+                                                className="w-12 h-12 rounded-full object-cover"
+                                            />
+                                        ) : (
+                                            <div className={`w-12 h-12 shrink-0 rounded-full bg-gradient-to-br ${getAvatarColor(chat._id)} flex items-center justify-center text-white font-semibold`}>
+                                                {getInitials(chat.name)}
+                                            </div>
+                                        )}
+                                        {!chat.isGroup && renderStatusDot(presence[chat._id]?.status)}
+                                    </div>
                                     <div className="flex-1 min-w-0 text-left">
-                                        <h3 className="text-white font-medium truncate">{user.name}</h3>
-                                        <p className="text-white/50 text-sm truncate">@{user.username}</p>
+                                        <div className="flex items-center justify-between gap-2">
+                                            <h3 className="text-white font-medium truncate">
+                                                {chat.name}
+                                                {isMuted(chat._id) && <span className="ml-1 text-xs" title="Muted">🔕</span>}
+                                            </h3>
+                                            <span className={`text-xs shrink-0 ${unread > 0 ? 'text-pink-300' : 'text-white/40'}`}>
+                                                {formatConversationTime(updatedAt)}
+                                            </span>
+                                        </div>
+                                        <div className="flex items-center justify-between gap-2">
+                                            {getTypingText(chat) ? (
+                                                <p className="text-emerald-400 text-sm truncate">{getTypingText(chat)}</p>
+                                            ) : (
+                                                <p className={`text-sm truncate ${unread > 0 ? 'text-white/80' : 'text-white/50'}`}>
+                                                    {getPreviewText(chat, entry.lastMessage)}
+                                                </p>
+                                            )}
+                                            {unread > 0 && (
+                                                <span className={`shrink-0 min-w-[1.25rem] px-1.5 py-0.5 rounded-full text-white text-xs text-center ${isMuted(chat._id) ? 'bg-white/20' : 'bg-pink-500'}`}>
+                                                    {unread > 99 ? '99+' : unread}
+                                                </span>
+                                            )}
+                                        </div>
                                     </div>
                                 </button>
                             ))}
                         </div>
                     )}
                 </div>
+                )}
             </div>
 
             {/* Chat Area - 70% */}
             <div className="flex-1 flex flex-col">
 
-                {selectedUser ? (
+                {selectedChat ? (
                     <>
                         {/* Chat Header */}
                         <div className="p-6 bg-white/5 backdrop-blur-xl border-b border-white/10">
                             <div className="flex items-center gap-4">
-                                {selectedUser.avatar ? (
-                                    <img
-                                        src={selectedUser.avatar}
-                                        alt={selectedUser.name}
-                                        className="w-12 h-12 rounded-full object-cover ring-2 ring-indigo-500/50"
-                                    />
-                                ) : (
-                                    <div className={`w-12 h-12 rounded-full bg-gradient-to-br ${getAvatarColor(selectedUser._id)} flex items-center justify-center text-white font-semibold ring-2 ring-indigo-500/50`}>
-                                        {getInitials(selectedUser.name)}
-                                    </div>
-                                )}
+                                <div className="relative shrink-0">
+                                    {selectedChat.avatar ? (
+                                        <img
+                                            src={selectedChat.avatar}
+                                            alt={selectedChat.name}
+                                            className="w-12 h-12 rounded-full object-cover ring-2 ring-indigo-500/50"
+                                        />
+                                    ) : (
+                                        <div className={`w-12 h-12 rounded-full bg-gradient-to-br ${getAvatarColor(selectedChat._id)} flex items-center justify-center text-white font-semibold ring-2 ring-indigo-500/50`}>
+                                            {getInitials(selectedChat.name)}
+                                        </div>
+                                    )}
+                                    {!selectedChat.isGroup && renderStatusDot(presence[selectedChat._id]?.status)}
+                                </div>
                                 <div>
-                                    <h2 className="text-white font-semibold text-lg">{selectedUser.name}</h2>
-                                    <p className="text-white/50 text-sm">@{selectedUser.username}</p>
+                                    <h2 className="text-white font-semibold text-lg">{selectedChat.name}</h2>
+                                    {getTypingText(selectedChat) ? (
+                                        <p className="text-emerald-400 text-sm">
+                                            {selectedChat.isGroup ? getTypingText(selectedChat) : `${selectedChat.name} is typing…`}
+                                        </p>
+                                    ) : (
+                                        <p className="text-white/50 text-sm">
+                                            {selectedChat.isGroup
+                                                ? `${selectedChat.headCount} members`
+                                                : getPresenceLine(selectedChat._id) || `@${selectedChat.username}`}
+                                        </p>
+                                    )}
+                                </div>
+
+                                {/* Conversation Menu */}
+                                <div className="ml-auto relative">
+                                    <button
+                                        onClick={() => setShowChatMenu((prev) => !prev)}
+                                        title="Conversation options"
+                                        className="p-2 text-white/70 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-300 text-xl leading-none"
+                                    >
+                                        ⋮
+                                    </button>
+                                    {showChatMenu && (
+                                        <div className="absolute right-0 top-12 bg-slate-800/95 backdrop-blur-xl border border-white/20 rounded-xl shadow-2xl overflow-hidden z-50 min-w-[200px]">
+                                            <button
+                                                onClick={() => toggleMute(selectedChat)}
+                                                className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300"
+                                            >
+                                                {isMuted(selectedChat._id) ? '🔔 Unmute notifications' : '🔕 Mute notifications'}
+                                            </button>
+                                            {!selectedChat.isGroup && !getPendingRequest(selectedChat) && (
+                                                isContact(selectedChat._id) ? (
+                                                    <button
+                                                        onClick={() => handleRemoveContact(selectedChat)}
+                                                        className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300 border-t border-white/10"
+                                                    >
+                                                        Remove from contacts
+                                                    </button>
+                                                ) : (
+                                                    <button
+                                                        onClick={() => sendContactRequest(selectedChat)}
+                                                        className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300 border-t border-white/10"
+                                                    >
+                                                        Add to contacts
+                                                    </button>
+                                                )
+                                            )}
+                                            {!selectedChat.isGroup && (
+                                                <button
+                                                    onClick={() => handleBlockUser(selectedChat)}
+                                                    className="w-full px-4 py-3 text-left text-red-400 hover:bg-white/10 transition-all duration-300 border-t border-white/10"
+                                                >
+                                                    Block {selectedChat.name}
+                                                </button>
+                                            )}
+                                        </div>
+                                    )}
                                 </div>
                             </div>
                         </div>
 
                         {/* Messages Area */}
-                        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+                        <div
+                            ref={messagesContainerRef}
+                            onScroll={handleMessagesScroll}
+                            className="flex-1 overflow-y-auto p-6 space-y-4"
+                        >
+                            {loadingOlder && (
+                                <div className="flex justify-center">
+                                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-indigo-500"></div>
+                                </div>
+                            )}
                             {loadingMessages ? (
                                 <div className="flex items-center justify-center h-full">
                                     <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div>
                                 </div>
-                            ) : messages.length === 0 ? (
+                            ) : visibleMessages.length === 0 ? (
                                 <div className="flex items-center justify-center h-full">
                                     <p className="text-white/50 text-center">Start a conversation</p>
                                 </div>
                             ) : (
-                                messages.map((message, index) => (
-                                    <div
-                                        key={index}
-                                        className={`flex ${message.senderId === authUser._id ? 'justify-end' : 'justify-start'}`}
-                                    >
+                                visibleMessages.map((message, index) => {
+                                    const isMine = getSenderId(message) === authUser._id;
+                                    const sender = typeof message.senderId === 'object' ? message.senderId : null;
+
+                                    if (message.systemMessage) {
+                                        return (
+                                            <div key={message._id || index} className="flex justify-center">
+                                                <p className="text-white/40 text-xs bg-white/5 rounded-full px-3 py-1">
+                                                    {message.message}
+                                                </p>
+                                            </div>
+                                        );
+                                    }
+
+                                    return (
                                         <div
-                                            className={`max-w-[70%] rounded-2xl px-4 py-3 ${message.senderId === authUser._id
-                                                ? 'bg-gradient-to-r from-indigo-500 to-pink-500 text-white'
-                                                : 'bg-white/10 text-white backdrop-blur-sm'
-                                                }`}
+                                            key={message._id || index}
+                                            id={`message-${message._id}`}
+                                            className={`flex items-end gap-2 ${isMine ? 'justify-end' : 'justify-start'}`}
                                         >
-                                            <p>{message.message || message.content}</p>
-                                            <p className={`text-xs mt-1 ${message.senderId === authUser._id ? 'text-white/70' : 'text-white/50'
-                                                }`}>
-                                                {new Date(message.createdAt || message.timestamp).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' })}
-                                            </p>
+                                            {selectedChat.isGroup && !isMine && sender && (
+                                                sender.avatar ? (
+                                                    <img
+                                                        src={sender.avatar}
+                                                        alt={sender.name}
+                                                        className="w-8 h-8 rounded-full object-cover"
+                                                    />
+                                                ) : (
+                                                    <div className={`w-8 h-8 rounded-full bg-gradient-to-br ${getAvatarColor(sender._id)} flex items-center justify-center text-white text-xs font-semibold`}>
+                                                        {getInitials(sender.name)}
+                                                    </div>
+                                                )
+                                            )}
+                                            <div className={`group flex flex-col max-w-[70%] ${isMine ? 'items-end' : 'items-start'}`}>
+                                                <div className={`flex items-center gap-1 ${isMine ? 'flex-row-reverse' : ''}`}>
+                                                    <div
+                                                        onContextMenu={(e) => {
+                                                            e.preventDefault();
+                                                            if (!message.sendState) setContextMenu({ x: e.clientX, y: e.clientY, message });
+                                                        }}
+                                                        onTouchStart={handleTouchStart}
+                                                        onTouchEnd={(e) => !message.sendState && handleTouchEnd(e, message)}
+                                                        className={`rounded-2xl px-4 py-3 transition-shadow ${isMine
+                                                            ? 'bg-gradient-to-r from-indigo-500 to-pink-500 text-white'
+                                                            : 'bg-white/10 text-white backdrop-blur-sm'
+                                                            } ${highlightedMessageId === message._id ? 'ring-2 ring-amber-300' : ''} ${message.sendState ? 'opacity-70' : ''}`}
+                                                    >
+                                                        {selectedChat.isGroup && !isMine && sender && (
+                                                            <p className="text-indigo-300 text-xs font-semibold mb-1">{sender.name}</p>
+                                                        )}
+                                                        {message.replyTo && typeof message.replyTo === 'object' && !message.deletedForEveryone && (
+                                                            <button
+                                                                type="button"
+                                                                onClick={() => jumpToMessage(message.replyTo._id)}
+                                                                className="block w-full text-left mb-2 px-3 py-1.5 rounded-lg bg-black/20 border-l-4 border-white/50 hover:bg-black/30 transition-all"
+                                                            >
+                                                                <p className="text-xs font-semibold text-white/80">{getQuoteAuthor(message.replyTo)}</p>
+                                                                <p className="text-xs text-white/60 truncate max-w-[240px]">{getQuoteText(message.replyTo)}</p>
+                                                            </button>
+                                                        )}
+                                                        {message.deletedForEveryone ? (
+                                                            <p className="italic text-white/60">🚫 {message.message}</p>
+                                                        ) : (
+                                                            <>
+                                                                {message.attachment && renderAttachment(message)}
+                                                                {(message.message || message.content) && (
+                                                                    <p>{message.message || message.content}</p>
+                                                                )}
+                                                            </>
+                                                        )}
+                                                        <p className={`text-xs mt-1 flex items-center gap-1 ${isMine ? 'text-white/70 justify-end' : 'text-white/50'
+                                                            }`}>
+                                                            {message.editedAt && !message.deletedForEveryone && <span className="italic">edited</span>}
+                                                            {new Date(message.createdAt || message.timestamp).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' })}
+                                                            {isMine && (message.sendState
+                                                                ? renderSendState(message)
+                                                                : !selectedChat.isGroup && renderTicks(message))}
+                                                        </p>
+                                                    </div>
+                                                    {!message.deletedForEveryone && !message.sendState && (
+                                                        <button
+                                                            type="button"
+                                                            title="Reply"
+                                                            onClick={() => startReply(message)}
+                                                            className="opacity-0 group-hover:opacity-100 p-1 rounded-full text-white/50 hover:text-white hover:bg-white/10 transition-all"
+                                                        >
+                                                            ↩
+                                                        </button>
+                                                    )}
+                                                    {!message.deletedForEveryone && !message.sendState && (
+                                                        <button
+                                                            type="button"
+                                                            title="React"
+                                                            onClick={(e) => {
+                                                                e.stopPropagation();
+                                                                setContextMenu({ x: e.clientX, y: e.clientY, message });
+                                                            }}
+                                                            className="opacity-0 group-hover:opacity-100 p-1 rounded-full text-white/50 hover:text-white hover:bg-white/10 transition-all"
+                                                        >
+                                                            ☺
+                                                        </button>
+                                                    )}
+                                                </div>
+                                                {message.sendState === 'failed' && (
+                                                    <div className="flex items-center gap-2 mt-1 text-xs">
+                                                        <span className="text-red-300">
+                                                            {message.sendError ? `Not sent: ${message.sendError}` : 'Not sent'}
+                                                        </span>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => retrySend(message.clientMessageId)}
+                                                            className="text-indigo-300 hover:text-indigo-200 transition-colors"
+                                                        >
+                                                            Retry
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => removeOutboxEntry(message.clientMessageId)}
+                                                            className="text-white/50 hover:text-white/80 transition-colors"
+                                                        >
+                                                            Discard
+                                                        </button>
+                                                    </div>
+                                                )}
+                                                {message.reactions?.length > 0 && (
+                                                    <div className="flex flex-wrap gap-1 mt-1">
+                                                        {aggregateReactions(message.reactions).map(({ emoji, count, mine }) => (
+                                                            <button
+                                                                key={emoji}
+                                                                type="button"
+                                                                onClick={() => handleReact(message, emoji)}
+                                                                className={`px-2 py-0.5 rounded-full text-xs border transition-all ${mine
+                                                                    ? 'bg-indigo-500/30 border-indigo-400 text-white'
+                                                                    : 'bg-white/5 border-white/15 text-white/80 hover:bg-white/10'
+                                                                    }`}
+                                                            >
+                                                                {emoji} {count}
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </div>
                                         </div>
-                                    </div>
-                                ))
+                                    );
+                                })
+                            )}
+                            {loadingNewer && (
+                                <div className="flex justify-center">
+                                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-indigo-500"></div>
+                                </div>
                             )}
                         </div>
 
                         {/* Message Input */}
                         <div className="p-6 bg-white/5 backdrop-blur-xl border-t border-white/10">
+                            {getPendingRequest(selectedChat) && (
+                                <div className="flex items-center justify-between gap-3 mb-3 px-4 py-3 bg-white/5 border border-white/10 rounded-lg">
+                                    <p className="text-white/70 text-sm">
+                                        {selectedChat.name} isn't in your contacts. Accept to move this chat to your inbox; replying accepts too.
+                                    </p>
+                                    <div className="flex gap-2 shrink-0">
+                                        <button
+                                            type="button"
+                                            onClick={() => respondToRequest(getPendingRequest(selectedChat), 'accept')}
+                                            className="px-3 py-1.5 rounded-lg text-sm text-white bg-indigo-500/60 hover:bg-indigo-500 transition-all"
+                                        >
+                                            Accept
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => respondToRequest(getPendingRequest(selectedChat), 'decline')}
+                                            className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:bg-white/10 transition-all"
+                                        >
+                                            Decline
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                            {replyingTo && (
+                                <div className="flex items-center justify-between mb-3 px-4 py-2 bg-white/5 border-l-4 border-pink-500 rounded-lg">
+                                    <div className="min-w-0">
+                                        <p className="text-pink-300 text-xs font-semibold">Replying to {getQuoteAuthor(replyingTo)}</p>
+                                        <p className="text-white/50 text-sm truncate">{getQuoteText(replyingTo)}</p>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        onClick={() => setReplyingTo(null)}
+                                        className="text-white/50 hover:text-white text-sm transition-colors"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            )}
+                            {editingMessage && (
+                                <div className="flex items-center justify-between mb-3 px-4 py-2 bg-white/5 border-l-4 border-indigo-500 rounded-lg">
+                                    <div className="min-w-0">
+                                        <p className="text-indigo-300 text-xs font-semibold">Editing message</p>
+                                        <p className="text-white/50 text-sm truncate">{editingMessage.message}</p>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        onClick={cancelEditing}
+                                        className="text-white/50 hover:text-white text-sm transition-colors"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            )}
+                            {uploadProgress !== null && (
+                                <div className="mb-3">
+                                    <div className="flex justify-between text-xs text-white/50 mb-1">
+                                        <span>Uploading attachment…</span>
+                                        <span>{uploadProgress}%</span>
+                                    </div>
+                                    <div className="h-1.5 bg-white/10 rounded-full overflow-hidden">
+                                        <div
+                                            className="h-full bg-gradient-to-r from-indigo-500 to-pink-500 transition-all"
+                                            style={{ width: `${uploadProgress}%` }}
+                                        />
+                                    </div>
+                                </div>
+                            )}
                             <form onSubmit={handleSendMessage} className="flex gap-3">
+                                <input
+                                    ref={fileInputRef}
+                                    type="file"
+                                    accept={ATTACHMENT_ACCEPT}
+                                    onChange={handleAttachmentSelected}
+                                    className="hidden"
+                                />
+                                <button
+                                    type="button"
+                                    title="Attach a file"
+                                    onClick={() => fileInputRef.current?.click()}
+                                    disabled={sending || uploadProgress !== null || Boolean(editingMessage)}
+                                    className="px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white/70 hover:text-white hover:bg-white/10 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    📎
+                                </button>
                                 <input
                                     type="text"
                                     value={messageInput}
-                                    onChange={(e) => setMessageInput(e.target.value)}
+                                    onChange={handleInputChange}
                                     placeholder="Type a message..."
                                     disabled={sending}
                                     className="flex-1 px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
@@ -342,7 +2273,7 @@ function ChatPage() {
                                     disabled={!messageInput.trim() || sending}
                                     className="px-6 py-3 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:translate-y-0"
                                 >
-                                    {sending ? 'Sending...' : 'Send'}
+                                    {sending ? 'Sending...' : editingMessage ? 'Save' : 'Send'}
                                 </button>
                             </form>
                         </div>
@@ -357,6 +2288,264 @@ function ChatPage() {
                     </div>
                 )}
             </div>
+
+            {/* Find People */}
+            {showFindPeople && (
+                <div
+                    className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+                    onClick={() => setShowFindPeople(false)}
+                >
+                    <div
+                        className="w-full max-w-md bg-slate-800 border border-white/20 rounded-2xl shadow-2xl overflow-hidden"
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+                            <h3 className="text-white font-semibold text-lg">Find People</h3>
+                            <button
+                                onClick={() => setShowFindPeople(false)}
+                                className="text-white/60 hover:text-white transition-colors"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                        <div className="px-6 py-4 border-b border-white/10">
+                            <input
+                                type="search"
+                                autoFocus
+                                value={peopleQuery}
+                                onChange={(e) => updatePeopleQuery(e.target.value)}
+                                placeholder="Username or email address"
+                                className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-sm text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            />
+                        </div>
+                        <div className="max-h-[60vh] overflow-y-auto">
+                            {searchingPeople ? (
+                                <div className="flex items-center justify-center h-24">
+                                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-500"></div>
+                                </div>
+                            ) : peopleQuery.trim().length < MIN_PEOPLE_QUERY ? (
+                                <p className="px-6 py-8 text-center text-white/50 text-sm">
+                                    Type at least {MIN_PEOPLE_QUERY} characters of a username, or a full email address
+                                </p>
+                            ) : peopleResults.length === 0 ? (
+                                <p className="px-6 py-8 text-center text-white/50 text-sm">Nobody found</p>
+                            ) : (
+                                <div className="divide-y divide-white/5">
+                                    {peopleResults.map((user) => (
+                                        <div key={user._id} className="flex items-center gap-3 px-6 py-3">
+                                            <div className={`w-10 h-10 shrink-0 rounded-full bg-gradient-to-br ${getAvatarColor(user._id)} flex items-center justify-center text-white text-sm font-semibold`}>
+                                                {getInitials(user.name)}
+                                            </div>
+                                            <div className="flex-1 min-w-0">
+                                                <p className="text-white font-medium truncate">{user.name}</p>
+                                                <p className="text-white/50 text-sm truncate">@{user.username}</p>
+                                            </div>
+                                            <button
+                                                onClick={() => openPersonChat(user)}
+                                                className="px-3 py-1.5 rounded-lg text-sm text-white/70 hover:bg-white/10 transition-all"
+                                            >
+                                                Message
+                                            </button>
+                                            {user.relation === 'contact' ? (
+                                                <span className="px-3 py-1.5 text-sm text-white/40">Contact</span>
+                                            ) : user.relation === 'outgoing' ? (
+                                                <span className="px-3 py-1.5 text-sm text-white/40">Requested</span>
+                                            ) : (
+                                                <button
+                                                    onClick={() => sendContactRequest(user)}
+                                                    className="px-3 py-1.5 rounded-lg text-sm text-indigo-300 hover:bg-white/10 transition-all"
+                                                >
+                                                    {user.relation === 'incoming' ? 'Accept' : 'Add'}
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Status */}
+            {showStatusEditor && (
+                <div
+                    className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+                    onClick={() => setShowStatusEditor(false)}
+                >
+                    <div
+                        className="w-full max-w-md bg-slate-800 border border-white/20 rounded-2xl shadow-2xl overflow-hidden"
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+                            <h3 className="text-white font-semibold text-lg">Set Status</h3>
+                            <button
+                                onClick={() => setShowStatusEditor(false)}
+                                className="text-white/60 hover:text-white transition-colors"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div className="grid grid-cols-2 gap-2">
+                                {['online', 'away', 'dnd', 'invisible'].map((status) => (
+                                    <button
+                                        key={status}
+                                        onClick={() => setStatusDraft((prev) => ({ ...prev, status }))}
+                                        className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-all ${statusDraft.status === status ? 'bg-indigo-500/40 text-white' : 'text-white/70 hover:bg-white/10'}`}
+                                    >
+                                        <span className={`w-3 h-3 rounded-full ${PRESENCE_STYLES[status].dot}`} />
+                                        {PRESENCE_STYLES[status].label}
+                                    </button>
+                                ))}
+                            </div>
+                            {statusDraft.status === 'invisible' && (
+                                <p className="text-white/50 text-xs">You'll appear offline, and your last seen time won't change.</p>
+                            )}
+                            <input
+                                type="text"
+                                value={statusDraft.text}
+                                maxLength={100}
+                                onChange={(e) => setStatusDraft((prev) => ({ ...prev, text: e.target.value }))}
+                                placeholder="What's your status?"
+                                className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-sm text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            />
+                            <label className="flex items-center justify-between gap-3 text-sm text-white/70">
+                                Clear after
+                                <select
+                                    value={statusDraft.expiresIn ?? ''}
+                                    onChange={(e) => setStatusDraft((prev) => ({ ...prev, expiresIn: e.target.value ? Number(e.target.value) : null }))}
+                                    className="bg-slate-800 border border-white/20 rounded-lg px-3 py-1.5 text-white focus:outline-none"
+                                >
+                                    {STATUS_EXPIRY_CHOICES.map(({ label, minutes }) => (
+                                        <option key={label} value={minutes ?? ''}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+                        <div className="flex items-center justify-between px-6 py-4 border-t border-white/10">
+                            <button
+                                onClick={() => saveStatus({ ...statusDraft, text: '' })}
+                                disabled={savingStatus || !getStatusText(authUser)}
+                                className="px-3 py-1.5 rounded-lg text-sm text-white/60 hover:bg-white/10 transition-all disabled:opacity-40"
+                            >
+                                Clear status text
+                            </button>
+                            <button
+                                onClick={() => saveStatus()}
+                                disabled={savingStatus}
+                                className="px-4 py-1.5 rounded-lg text-sm text-white bg-indigo-500/60 hover:bg-indigo-500 transition-all disabled:opacity-40"
+                            >
+                                {savingStatus ? 'Saving…' : 'Save'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Blocked Users */}
+            {showBlockedUsers && (
+                <div
+                    className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+                    onClick={() => setShowBlockedUsers(false)}
+                >
+                    <div
+                        className="w-full max-w-md bg-slate-800 border border-white/20 rounded-2xl shadow-2xl overflow-hidden"
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+                            <h3 className="text-white font-semibold text-lg">Blocked Users</h3>
+                            <button
+                                onClick={() => setShowBlockedUsers(false)}
+                                className="text-white/60 hover:text-white transition-colors"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                        <div className="max-h-[60vh] overflow-y-auto">
+                            {loadingBlocked ? (
+                                <div className="flex items-center justify-center h-24">
+                                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-500"></div>
+                                </div>
+                            ) : blockedUsers.length === 0 ? (
+                                <p className="px-6 py-8 text-center text-white/50 text-sm">You haven't blocked anyone</p>
+                            ) : (
+                                <div className="divide-y divide-white/5">
+                                    {blockedUsers.map((user) => (
+                                        <div key={user._id} className="flex items-center gap-3 px-6 py-3">
+                                            <div className={`w-10 h-10 rounded-full bg-gradient-to-br ${getAvatarColor(user._id)} flex items-center justify-center text-white text-sm font-semibold`}>
+                                                {getInitials(user.name)}
+                                            </div>
+                                            <div className="flex-1 min-w-0">
+                                                <p className="text-white font-medium truncate">{user.name}</p>
+                                                <p className="text-white/50 text-sm truncate">@{user.username}</p>
+                                            </div>
+                                            <button
+                                                onClick={() => handleUnblockUser(user)}
+                                                className="px-3 py-1.5 rounded-lg text-sm text-indigo-300 hover:bg-white/10 transition-all"
+                                            >
+                                                Unblock
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Message Context Menu */}
+            {contextMenu && (
+                <div
+                    style={{ top: contextMenu.y, left: contextMenu.x }}
+                    className="fixed bg-slate-800/95 backdrop-blur-xl border border-white/20 rounded-xl shadow-2xl overflow-hidden z-50 min-w-[180px]"
+                >
+                    {!contextMenu.message.deletedForEveryone && (
+                        <div className="flex gap-1 px-2 py-2 border-b border-white/10">
+                            {REACTION_CHOICES.map((emoji) => (
+                                <button
+                                    key={emoji}
+                                    onClick={() => handleReact(contextMenu.message, emoji)}
+                                    className="p-1.5 rounded-lg text-lg hover:bg-white/10 hover:scale-110 transition-all"
+                                >
+                                    {emoji}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {!contextMenu.message.deletedForEveryone && (
+                        <button
+                            onClick={() => startReply(contextMenu.message)}
+                            className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300 border-b border-white/10"
+                        >
+                            Reply
+                        </button>
+                    )}
+                    {getSenderId(contextMenu.message) === authUser._id && !contextMenu.message.deletedForEveryone && (
+                        <button
+                            onClick={() => startEditing(contextMenu.message)}
+                            className="w-full px-4 py-3 text-left text-white hover:bg-white/10 transition-all duration-300 border-b border-white/10"
+                        >
+                            Edit
+                        </button>
+                    )}
+                    <button
+                        onClick={() => handleDeleteMessage(contextMenu.message, 'me')}
+                        className="w-full px-4 py-3 text-left text-red-400 hover:bg-white/10 transition-all duration-300"
+                    >
+                        Delete for me
+                    </button>
+                    {getSenderId(contextMenu.message) === authUser._id && !contextMenu.message.deletedForEveryone && (
+                        <button
+                            onClick={() => handleDeleteMessage(contextMenu.message, 'everyone')}
+                            className="w-full px-4 py-3 text-left text-red-400 hover:bg-white/10 transition-all duration-300 border-t border-white/10"
+                        >
+                            Delete for everyone
+                        </button>
+                    )}
+                </div>
+            )}
         </div>
     );
 }
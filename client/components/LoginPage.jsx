@@ -1,9 +1,16 @@
 import React, {
     useContext,
+    useEffect,
+    useRef,
     useState,
 } from 'react';
 
-import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+    useLocation,
+    useNavigate,
+    useSearchParams,
+} from 'react-router-dom';
 
 import { AuthContext } from '../context/authContext';
 
@@ -12,8 +19,79 @@ function LoginPage() {
     const [registrationStep, setRegistrationStep] = useState(1);
     const [loading, setLoading] = useState(false);
     const [registrationData, setRegistrationData] = useState({ name: '', username: '' });
-    const { login } = useContext(AuthContext);
+    const [showForgotPassword, setShowForgotPassword] = useState(false);
+    const [resetLinkSent, setResetLinkSent] = useState(false);
+    // 'verifying' | 'verified' | 'failed' while handling a verification link
+    const [verifyStatus, setVerifyStatus] = useState('verifying');
+    const verifyRequested = useRef(false);
+    const { login, authUser, setAuthUser, axios } = useContext(AuthContext);
     const navigate = useNavigate();
+    const { pathname } = useLocation();
+    const [searchParams] = useSearchParams();
+    const emailToken = searchParams.get('token');
+
+    // Verification links are single-use, so make sure the request goes out only once
+    useEffect(() => {
+        if (pathname !== '/verify-email' || !emailToken || verifyRequested.current) return;
+        verifyRequested.current = true;
+
+        axios.post('/api/auth/verify-email', { token: emailToken })
+            .then(() => {
+                setVerifyStatus('verified');
+                setAuthUser((prev) => (prev ? { ...prev, emailVerified: true } : prev));
+            })
+            .catch(() => setVerifyStatus('failed'));
+    }, [pathname, emailToken, axios, setAuthUser]);
+
+    const getErrorMessage = (error, fallback) => (
+        error.response?.data?.error || error.response?.data?.message || fallback
+    );
+
+    const handleResendVerification = async () => {
+        setLoading(true);
+        try {
+            const { data } = await axios.post('/api/auth/resend-verification');
+            toast.success(data.message || 'Verification email sent');
+        } catch (error) {
+            toast.error(getErrorMessage(error, 'Could not send verification email'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleForgotPassword = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            await axios.post('/api/auth/forgot-password', { email: e.target.email.value });
+            setResetLinkSent(true);
+        } catch (error) {
+            toast.error(getErrorMessage(error, 'Could not send reset link'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleResetPassword = async (e) => {
+        e.preventDefault();
+        const password = e.target.passwd.value;
+
+        if (password !== e.target.confirm.value) {
+            toast.error('Passwords dont match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const { data } = await axios.post('/api/auth/reset-password', { token: emailToken, password });
+            toast.success(data.message || 'Password updated');
+            navigate('/auth');
+        } catch (error) {
+            toast.error(getErrorMessage(error, 'Could not reset password'));
+        } finally {
+            setLoading(false);
+        }
+    };
 
     const handleLogin = async (e) => {
         e.preventDefault();
@@ -62,6 +140,7 @@ function LoginPage() {
             setRegistrationStep(1);
             setIsLogin(true);
             setRegistrationData({ name: '', username: '' });
+            navigate('/verify-email');
         }
 
         setLoading(false);
@@ -73,6 +152,163 @@ function LoginPage() {
         setRegistrationData({ name: '', username: '' });
     };
 
+    // "Verify your email", "forgot password" and "set a new password" replace the login/register tabs
+    const renderAccountScreen = () => {
+        if (pathname === '/verify-email') {
+            if (!emailToken) {
+                return (
+                    <div className="animate-fadeIn text-center">
+                        <h3 className="text-white font-semibold text-xl mb-3">Verify your email</h3>
+                        <p className="text-white/60 mb-6">
+                            We sent a verification link to {authUser?.email || 'your inbox'}. Open it to confirm your address.
+                        </p>
+                        {authUser && !authUser.emailVerified && (
+                            <button
+                                type="button"
+                                onClick={handleResendVerification}
+                                disabled={loading}
+                                className="w-full py-3.5 bg-white/5 border border-white/15 rounded-xl text-white font-semibold text-base hover:bg-white/10 hover:border-white/30 transition-all duration-300 disabled:opacity-50 mb-3">
+                                {loading ? 'Sending...' : 'Resend link'}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            onClick={() => navigate(authUser ? '/messages' : '/auth')}
+                            className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 disabled:opacity-50">
+                            Continue
+                        </button>
+                    </div>
+                );
+            }
+
+            return (
+                <div className="animate-fadeIn text-center">
+                    <h3 className="text-white font-semibold text-xl mb-3">
+                        {verifyStatus === 'verifying' && 'Verifying your email...'}
+                        {verifyStatus === 'verified' && 'Email verified'}
+                        {verifyStatus === 'failed' && 'Link expired'}
+                    </h3>
+                    <p className="text-white/60 mb-6">
+                        {verifyStatus === 'verified' && 'Thanks! Your email address is confirmed.'}
+                        {verifyStatus === 'failed' && 'This verification link is invalid or has already been used.'}
+                    </p>
+                    {verifyStatus !== 'verifying' && (
+                        <button
+                            type="button"
+                            onClick={() => navigate(authUser ? '/messages' : '/auth')}
+                            className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 disabled:opacity-50">
+                            Continue
+                        </button>
+                    )}
+                </div>
+            );
+        }
+
+        if (pathname === '/reset-password') {
+            return (
+                <form onSubmit={handleResetPassword} className="animate-fadeIn">
+                    <h3 className="text-white font-semibold text-xl mb-6">Set a new password</h3>
+
+                    <div className="mb-5">
+                        <label htmlFor="reset-password" className="block text-white/90 text-sm font-medium mb-2">
+                            New Password
+                        </label>
+                        <input
+                            type="password"
+                            id="reset-password"
+                            name="passwd"
+                            placeholder="••••••••"
+                            required
+                            disabled={loading || !emailToken}
+                            className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
+                        />
+                    </div>
+
+                    <div className="mb-5">
+                        <label htmlFor="reset-confirm" className="block text-white/90 text-sm font-medium mb-2">
+                            Confirm Password
+                        </label>
+                        <input
+                            type="password"
+                            id="reset-confirm"
+                            name="confirm"
+                            placeholder="••••••••"
+                            required
+                            disabled={loading || !emailToken}
+                            className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
+                        />
+                    </div>
+
+                    {!emailToken && (
+                        <p className="text-red-400 text-sm mb-5">This reset link is incomplete. Request a new one.</p>
+                    )}
+
+                    <button
+                        type="submit"
+                        disabled={loading || !emailToken}
+                        className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 disabled:opacity-50">
+                        {loading ? 'Saving...' : 'Set Password'}
+                    </button>
+                </form>
+            );
+        }
+
+        // Forgot password
+        return resetLinkSent ? (
+            <div className="animate-fadeIn text-center">
+                <h3 className="text-white font-semibold text-xl mb-3">Check your inbox</h3>
+                <p className="text-white/60 mb-6">
+                    If that email is registered, a link to reset your password is on its way.
+                </p>
+                <button
+                    type="button"
+                    onClick={() => {
+                        setShowForgotPassword(false);
+                        setResetLinkSent(false);
+                    }}
+                    className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 disabled:opacity-50">
+                    Back to Login
+                </button>
+            </div>
+        ) : (
+            <form onSubmit={handleForgotPassword} className="animate-fadeIn">
+                <h3 className="text-white font-semibold text-xl mb-2">Forgot password</h3>
+                <p className="text-white/60 text-sm mb-6">Enter your email and we will send you a reset link.</p>
+
+                <div className="mb-5">
+                    <label htmlFor="forgot-email" className="block text-white/90 text-sm font-medium mb-2">
+                        Email
+                    </label>
+                    <input
+                        type="email"
+                        id="forgot-email"
+                        name="email"
+                        placeholder="your@email.com"
+                        required
+                        disabled={loading}
+                        className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
+                    />
+                </div>
+
+                <div className="flex gap-3">
+                    <button
+                        type="button"
+                        onClick={() => setShowForgotPassword(false)}
+                        disabled={loading}
+                        className="flex-1 py-3.5 bg-white/5 border border-white/15 rounded-xl text-white font-semibold text-base hover:bg-white/10 hover:border-white/30 transition-all duration-300 disabled:opacity-50">
+                        Back
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="flex-1 py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 disabled:opacity-50">
+                        {loading ? 'Sending...' : 'Send Link'}
+                    </button>
+                </div>
+            </form>
+        );
+    };
+
     return (
         <div className="font-sans min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 relative overflow-hidden p-3">
 
@@ -99,140 +335,41 @@ function LoginPage() {
                 {/* Auth Container */}
                 <div className="flex-1 w-full max-w-md bg-white/8 backdrop-blur-xl rounded-2xl md:rounded-3xl p-6 md:p-8 border border-white/20 shadow-2xl animate-slideInRight">
 
-                    {/* Toggle Buttons */}
-                    <div className="flex bg-white/5 rounded-xl p-1 mb-6 border border-white/10">
-                        <button
-                            onClick={() => setIsLogin(true)}
-                            className={`flex-1 py-2.5 md:py-3 rounded-lg font-semibold text-sm md:text-base transition-all duration-300 ${isLogin
-                                ? 'bg-gradient-to-r from-indigo-500 to-indigo-600 text-white shadow-lg shadow-indigo-500/40'
-                                : 'text-white/50'
-                                }`}>
-                            Login
-                        </button>
-                        <button
-                            onClick={handleToggleToRegister}
-                            className={`flex-1 py-2.5 md:py-3 rounded-lg font-semibold text-sm md:text-base transition-all duration-300 ${!isLogin
-                                ? 'bg-gradient-to-r from-indigo-500 to-indigo-600 text-white shadow-lg shadow-indigo-500/40'
-                                : 'text-white/50'
-                                }`}>
-                            Register
-                        </button>
-                    </div>
-
-                    {/* Forms Container */}
-                    <div className="relative">
-
-                        {/* Login Form */}
-                        {isLogin ? (
-                            <form onSubmit={handleLogin} className="animate-fadeIn">
-                                <div className="mb-5">
-                                    <label htmlFor="login-email" className="block text-white/90 text-sm font-medium mb-2">
-                                        Email
-                                    </label>
-                                    <input
-                                        type="email"
-                                        id="login-email"
-                                        name="email"
-                                        placeholder="your@email.com"
-                                        required
-                                        disabled={loading}
-                                        className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
-                                    />
-                                </div>
-
-                                <div className="mb-5">
-                                    <label htmlFor="login-password" className="block text-white/90 text-sm font-medium mb-2">
-                                        Password
-                                    </label>
-                                    <input
-                                        type="password"
-                                        id="login-password"
-                                        name="password"
-                                        placeholder="••••••••"
-                                        required
-                                        disabled={loading}
-                                        className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
-                                    />
-                                </div>
-
+                    {pathname !== '/auth' || showForgotPassword ? renderAccountScreen() : (
+                        <>
+                            {/* Toggle Buttons */}
+                            <div className="flex bg-white/5 rounded-xl p-1 mb-6 border border-white/10">
                                 <button
-                                    type="submit"
-                                    disabled={loading}
-                                    className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 relative overflow-hidden group disabled:opacity-50">
-                                    <span className="relative z-10">{loading ? 'Logging in...' : 'Login'}</span>
-                                    <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full group-hover:translate-x-full transition-transform duration-500"></div>
+                                    onClick={() => setIsLogin(true)}
+                                    className={`flex-1 py-2.5 md:py-3 rounded-lg font-semibold text-sm md:text-base transition-all duration-300 ${isLogin
+                                        ? 'bg-gradient-to-r from-indigo-500 to-indigo-600 text-white shadow-lg shadow-indigo-500/40'
+                                        : 'text-white/50'
+                                        }`}>
+                                    Login
                                 </button>
-                            </form>
-                        ) : (
-                            /* Register Form - Multi-step */
-                            <div className="animate-fadeIn">
-                                {/* Step 1: Basic Information */}
-                                {registrationStep === 1 && (
-                                    <form onSubmit={handleRegisterStep1}>
-                                        <div className="mb-4">
-                                            <div className="flex items-center justify-between mb-4">
-                                                <h3 className="text-white font-semibold text-lg">Basic Information</h3>
-                                                <span className="text-white/50 text-sm">Step 1 of 2</span>
-                                            </div>
-                                        </div>
-
-                                        <div className="mb-5">
-                                            <label htmlFor="register-name" className="block text-white/90 text-sm font-medium mb-2">
-                                                Full Name
-                                            </label>
-                                            <input
-                                                type="text"
-                                                id="register-name"
-                                                name="name"
-                                                placeholder="John Doe"
-                                                required
-                                                disabled={loading}
-                                                className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
-                                            />
-                                        </div>
-
-                                        <div className="mb-5">
-                                            <label htmlFor="register-username" className="block text-white/90 text-sm font-medium mb-2">
-                                                Username
-                                            </label>
-                                            <input
-                                                type="text"
-                                                id="register-username"
-                                                name="username"
-                                                placeholder="johndoe"
-                                                required
-                                                disabled={loading}
-                                                className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
-                                            />
-                                        </div>
-
-                                        <button
-                                            type="submit"
-                                            disabled={loading}
-                                            className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 relative overflow-hidden group disabled:opacity-50">
-                                            <span className="relative z-10">Next</span>
-                                            <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full group-hover:translate-x-full transition-transform duration-500"></div>
-                                        </button>
-                                    </form>
-                                )}
+                                <button
+                                    onClick={handleToggleToRegister}
+                                    className={`flex-1 py-2.5 md:py-3 rounded-lg font-semibold text-sm md:text-base transition-all duration-300 ${!isLogin
+                                        ? 'bg-gradient-to-r from-indigo-500 to-indigo-600 text-white shadow-lg shadow-indigo-500/40'
+                                        : 'text-white/50'
+                                        }`}>
+                                    Register
+                                </button>
+                            </div>
 
-                                {/* Step 2: Account Credentials */}
-                                {registrationStep === 2 && (
-                                    <form onSubmit={handleRegister}>
-                                        <div className="mb-4">
-                                            <div className="flex items-center justify-between mb-4">
-                                                <h3 className="text-white font-semibold text-lg">Account Details</h3>
-                                                <span className="text-white/50 text-sm">Step 2 of 2</span>
-                                            </div>
-                                        </div>
+                            {/* Forms Container */}
+                            <div className="relative">
 
+                                {/* Login Form */}
+                                {isLogin ? (
+                                    <form onSubmit={handleLogin} className="animate-fadeIn">
                                         <div className="mb-5">
-                                            <label htmlFor="register-email" className="block text-white/90 text-sm font-medium mb-2">
+                                            <label htmlFor="login-email" className="block text-white/90 text-sm font-medium mb-2">
                                                 Email
                                             </label>
                                             <input
                                                 type="email"
-                                                id="register-email"
+                                                id="login-email"
                                                 name="email"
                                                 placeholder="your@email.com"
                                                 required
@@ -242,13 +379,13 @@ function LoginPage() {
                                         </div>
 
                                         <div className="mb-5">
-                                            <label htmlFor="register-password" className="block text-white/90 text-sm font-medium mb-2">
+                                            <label htmlFor="login-password" className="block text-white/90 text-sm font-medium mb-2">
                                                 Password
                                             </label>
                                             <input
                                                 type="password"
-                                                id="register-password"
-                                                name="passwd"
+                                                id="login-password"
+                                                name="password"
                                                 placeholder="••••••••"
                                                 required
                                                 disabled={loading}
@@ -256,42 +393,152 @@ function LoginPage() {
                                             />
                                         </div>
 
-                                        <div className="mb-5">
-                                            <label htmlFor="register-confirm" className="block text-white/90 text-sm font-medium mb-2">
-                                                Confirm Password
-                                            </label>
-                                            <input
-                                                type="password"
-                                                id="register-confirm"
-                                                name="confirm"
-                                                placeholder="••••••••"
-                                                required
-                                                disabled={loading}
-                                                className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
-                                            />
-                                        </div>
+                                        <button
+                                            type="submit"
+                                            disabled={loading}
+                                            className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 relative overflow-hidden group disabled:opacity-50">
+                                            <span className="relative z-10">{loading ? 'Logging in...' : 'Login'}</span>
+                                            <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full group-hover:translate-x-full transition-transform duration-500"></div>
+                                        </button>
 
-                                        <div className="flex gap-3">
-                                            <button
-                                                type="button"
-                                                onClick={() => setRegistrationStep(1)}
-                                                disabled={loading}
-                                                className="flex-1 py-3.5 bg-white/5 border border-white/15 rounded-xl text-white font-semibold text-base hover:bg-white/10 hover:border-white/30 transition-all duration-300 disabled:opacity-50">
-                                                Back
-                                            </button>
-                                            <button
-                                                type="submit"
-                                                disabled={loading}
-                                                className="flex-1 py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 relative overflow-hidden group disabled:opacity-50">
-                                                <span className="relative z-10">{loading ? 'Creating...' : 'Create Account'}</span>
-                                                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full group-hover:translate-x-full transition-transform duration-500"></div>
-                                            </button>
-                                        </div>
+                                        <button
+                                            type="button"
+                                            onClick={() => setShowForgotPassword(true)}
+                                            className="w-full mt-4 text-sm text-indigo-300 hover:text-indigo-200 transition-colors">
+                                            Forgot password?
+                                        </button>
                                     </form>
+                                ) : (
+                                    /* Register Form - Multi-step */
+                                    <div className="animate-fadeIn">
+                                        {/* Step 1: Basic Information */}
+                                        {registrationStep === 1 && (
+                                            <form onSubmit={handleRegisterStep1}>
+                                                <div className="mb-4">
+                                                    <div className="flex items-center justify-between mb-4">
+                                                        <h3 className="text-white font-semibold text-lg">Basic Information</h3>
+                                                        <span className="text-white/50 text-sm">Step 1 of 2</span>
+                                                    </div>
+                                                </div>
+
+                                                <div className="mb-5">
+                                                    <label htmlFor="register-name" className="block text-white/90 text-sm font-medium mb-2">
+                                                        Full Name
+                                                    </label>
+                                                    <input
+                                                        type="text"
+                                                        id="register-name"
+                                                        name="name"
+                                                        placeholder="John Doe"
+                                                        required
+                                                        disabled={loading}
+                                                        className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
+                                                    />
+                                                </div>
+
+                                                <div className="mb-5">
+                                                    <label htmlFor="register-username" className="block text-white/90 text-sm font-medium mb-2">
+                                                        Username
+                                                    </label>
+                                                    <input
+                                                        type="text"
+                                                        id="register-username"
+                                                        name="username"
+                                                        placeholder="johndoe"
+                                                        required
+                                                        disabled={loading}
+                                                        className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
+                                                    />
+                                                </div>
+
+                                                <button
+                                                    type="submit"
+                                                    disabled={loading}
+                                                    className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 relative overflow-hidden group disabled:opacity-50">
+                                                    <span className="relative z-10">Next</span>
+                                                    <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full group-hover:translate-x-full transition-transform duration-500"></div>
+                                                </button>
+                                            </form>
+                                        )}
+
+                                        {/* Step 2: Account Credentials */}
+                                        {registrationStep === 2 && (
+                                            <form onSubmit={handleRegister}>
+                                                <div className="mb-4">
+                                                    <div className="flex items-center justify-between mb-4">
+                                                        <h3 className="text-white font-semibold text-lg">Account Details</h3>
+                                                        <span className="text-white/50 text-sm">Step 2 of 2</span>
+                                                    </div>
+                                                </div>
+
+                                                <div className="mb-5">
+                                                    <label htmlFor="register-email" className="block text-white/90 text-sm font-medium mb-2">
+                                                        Email
+                                                    </label>
+                                                    <input
+                                                        type="email"
+                                                        id="register-email"
+                                                        name="email"
+                                                        placeholder="your@email.com"
+                                                        required
+                                                        disabled={loading}
+                                                        className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
+                                                    />
+                                                </div>
+
+                                                <div className="mb-5">
+                                                    <label htmlFor="register-password" className="block text-white/90 text-sm font-medium mb-2">
+                                                        Password
+                                                    </label>
+                                                    <input
+                                                        type="password"
+                                                        id="register-password"
+                                                        name="passwd"
+                                                        placeholder="••••••••"
+                                                        required
+                                                        disabled={loading}
+                                                        className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
+                                                    />
+                                                </div>
+
+                                                <div className="mb-5">
+                                                    <label htmlFor="register-confirm" className="block text-white/90 text-sm font-medium mb-2">
+                                                        Confirm Password
+                                                    </label>
+                                                    <input
+                                                        type="password"
+                                                        id="register-confirm"
+                                                        name="confirm"
+                                                        placeholder="••••••••"
+                                                        required
+                                                        disabled={loading}
+                                                        className="w-full px-4 py-3 bg-white/5 border border-white/15 rounded-xl text-white placeholder-white/30 focus:outline-none focus:bg-white/8 focus:border-indigo-500 focus:ring-4 focus:ring-indigo-500/10 transition-all duration-300 disabled:opacity-50"
+                                                    />
+                                                </div>
+
+                                                <div className="flex gap-3">
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => setRegistrationStep(1)}
+                                                        disabled={loading}
+                                                        className="flex-1 py-3.5 bg-white/5 border border-white/15 rounded-xl text-white font-semibold text-base hover:bg-white/10 hover:border-white/30 transition-all duration-300 disabled:opacity-50">
+                                                        Back
+                                                    </button>
+                                                    <button
+                                                        type="submit"
+                                                        disabled={loading}
+                                                        className="flex-1 py-3.5 bg-gradient-to-r from-indigo-500 to-pink-500 rounded-xl text-white font-semibold text-base md:text-lg hover:-translate-y-0.5 hover:shadow-xl hover:shadow-indigo-500/40 active:translate-y-0 transition-all duration-300 relative overflow-hidden group disabled:opacity-50">
+                                                        <span className="relative z-10">{loading ? 'Creating...' : 'Create Account'}</span>
+                                                        <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full group-hover:translate-x-full transition-transform duration-500"></div>
+                                                    </button>
+                                                </div>
+                                            </form>
+                                        )}
+                                    </div>
                                 )}
                             </div>
-                        )}
-                    </div>
+                        </>
+                    )}
                 </div>
             </div>
 
@@ -9,35 +9,204 @@ import axios from 'axios';
 import toast from 'react-hot-toast';
 import { io } from 'socket.io-client';
 
+import {
+    attachTokenRefresh,
+    clearStoredTokens,
+    refreshAccessToken,
+    revokeRefreshToken,
+    storeTokens,
+} from '../api/tokenRefresh';
+
 const backEndUrl = import.meta.env.VITE_BACKEND_PORT || 'http://localhost:1965';
 axios.defaults.baseURL = backEndUrl;
 
+// Without keyboard or pointer activity for this long, contacts see the user as away
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+
+// A reconnect that would need more sync pages than this reloads the chats instead
+const MAX_SYNC_PAGES = 10;
+
+// Like the server's caught-up cursor, one moved by live events trails them by this much,
+// since a change stamped just before the last one received may still be on its way
+const SYNC_OVERLAP_MS = 5000;
+
+// When each live change event happened, by the server's clock
+const LIVE_CHANGE_TIMES = {
+    newMessage: (message) => message.updatedAt,
+    messageEdited: (message) => message.updatedAt,
+    messageDeleted: (payload) => payload.deletedAt,
+    messageReaction: (payload) => payload.updatedAt,
+    messageStatus: (payload) => payload.at,
+};
+
 export const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
     const [token, setToken] = useState(localStorage.getItem("token"));
     const [authUser, setAuthUser] = useState(null);
-    const [onlineUsers, setOnlineUsers] = useState([]);
+    // userId -> { status, statusText, statusExpiresAt, lastSeenAt } of each visible contact
+    const [presence, setPresence] = useState({});
     const [socket, setSocket] = useState(null);
     const authChecked = useRef(false);
     const socketRef = useRef(null);
+    const socketTokenRef = useRef(null);
+    // Server position up to which this client has seen every message change
+    const syncCursorRef = useRef(null);
+    const syncingRef = useRef(false);
+    const syncListenersRef = useRef(new Set());
 
     const connectSocket = (userData) => {
         if (!userData || socketRef.current?.connected) return;
         const newSocket = io(backEndUrl, {
-            query: {
-                userId: userData._id,
+            // Evaluated on every (re)connect, so the handshake always carries the latest token
+            auth: (cb) => {
+                socketTokenRef.current = localStorage.getItem("token");
+                cb({ token: socketTokenRef.current });
             }
         });
-        newSocket.connect();
         socketRef.current = newSocket;
         setSocket(newSocket);
 
-        newSocket.on("getOnlineUsers", (userIds) => {
-            setOnlineUsers(userIds);
+        newSocket.on("presence:snapshot", (entries) => {
+            setPresence((prev) => {
+                const next = Object.fromEntries(entries.map((entry) => [entry.userId, entry]));
+                // Our own entry only ever arrives as an update
+                const self = prev[userData._id];
+                return self ? { ...next, [userData._id]: self } : next;
+            });
+        });
+
+        newSocket.on("presence:update", (entry) => {
+            setPresence((prev) => ({ ...prev, [entry.userId]: entry }));
+
+            // Another of our devices changed our status
+            if (entry.userId === userData._id) {
+                setAuthUser((prev) => prev && {
+                    ...prev,
+                    presenceStatus: entry.presenceStatus,
+                    statusText: entry.statusText,
+                    statusExpiresAt: entry.statusExpiresAt
+                });
+            }
+        });
+
+        // Live changes move the sync cursor along, so a reconnect only asks for what the
+        // socket actually missed. onAny survives the pages removing their own listeners.
+        newSocket.onAny((event, payload) => {
+            const at = LIVE_CHANGE_TIMES[event]?.(payload);
+            if (at) advanceSyncCursor(at);
+        });
+
+        // Anything that arrived while we were offline has now reached this device
+        newSocket.on("connect", () => {
+            axios.put("/api/message/delivered").catch((error) => {
+                console.error("Failed to acknowledge delivery:", error);
+            });
+            syncMissedChanges();
+        });
+
+        // Auth failures stop socket.io from reconnecting on its own
+        newSocket.on("connect_error", (error) => {
+            console.error("Socket connection failed:", error.message);
+            if (error.message === "Token expired") {
+                refreshAccessToken(socketTokenRef.current)
+                    .then((newToken) => {
+                        applyToken(newToken);
+                        newSocket.connect();
+                    })
+                    .catch(() => clearSession());
+            } else if (error.message === "Session revoked") {
+                clearSession();
+            }
+        });
+
+        newSocket.on("rateLimited", ({ event, retryAfter }) => {
+            console.warn(`Socket event "${event}" rate limited, retry in ${retryAfter}s`);
+        });
+
+        // The server drops our sockets when this session is revoked from another device
+        newSocket.on("disconnect", (reason) => {
+            if (reason === "io server disconnect") {
+                checkAuth();
+            }
         });
     };
 
+    // Fetches every message change since the last sync and hands it to the listeners as
+    // { messages, removed }, or { stale: true } when too much changed to catch up on.
+    // The first run after login only records where the server is.
+    const syncMissedChanges = async () => {
+        if (syncingRef.current) return;
+        syncingRef.current = true;
+
+        try {
+            const messages = [];
+            const removed = [];
+            let hasMore = true;
+            let pages = 0;
+
+            while (hasMore && pages < MAX_SYNC_PAGES) {
+                const { data } = await axios.get("/api/message/sync", {
+                    params: syncCursorRef.current ? { since: syncCursorRef.current } : {}
+                });
+                messages.push(...data.messages);
+                removed.push(...data.removed);
+                syncCursorRef.current = data.cursor;
+                hasMore = data.hasMore;
+                pages++;
+            }
+
+            // The listeners reload from scratch, so continue from the server's present
+            if (hasMore) {
+                const { data } = await axios.get("/api/message/sync");
+                syncCursorRef.current = data.cursor;
+            }
+
+            const changes = hasMore ? { stale: true } : { messages, removed };
+            if (hasMore || messages.length > 0 || removed.length > 0) {
+                syncListenersRef.current.forEach((listener) => listener(changes));
+            }
+        } catch (error) {
+            console.error("Failed to sync missed messages:", error);
+        } finally {
+            syncingRef.current = false;
+        }
+    };
+
+    const advanceSyncCursor = (at) => {
+        // Nothing to advance before the first sync, and a running one owns the cursor
+        if (!syncCursorRef.current || syncingRef.current) return;
+
+        const next = new Date(at).getTime() - SYNC_OVERLAP_MS;
+        if (next > Number(syncCursorRef.current.split(":")[0])) {
+            syncCursorRef.current = String(next);
+        }
+    };
+
+    // Returns the unsubscribe function
+    const subscribeSync = (listener) => {
+        syncListenersRef.current.add(listener);
+        return () => syncListenersRef.current.delete(listener);
+    };
+
+    // A silently refreshed token replaces the old one everywhere without
+    // reconnecting the socket, whose handshake was already authenticated
+    const applyToken = (newToken) => {
+        axios.defaults.headers.common["authorization"] = `Bearer ${newToken}`;
+        socketTokenRef.current = newToken;
+        setToken(newToken);
+    };
+
+    const clearSession = () => {
+        clearStoredTokens();
+        setToken(null);
+        setAuthUser(null);
+        setPresence({});
+        syncCursorRef.current = null;
+        axios.defaults.headers.common["authorization"] = null;
+        socketRef.current?.disconnect();
+    };
+
     const checkAuth = async () => {
         try {
             const { data } = await axios.get("/api/auth/check");
@@ -60,11 +229,11 @@ export const AuthProvider = ({ children }) => {
                 const userData = data.user;
                 // Ensure _id is set (backend returns both id and _id)
                 userData._id = userData._id || userData.id;
-                setAuthUser(userData);
-                connectSocket(userData);
                 axios.defaults.headers.common["authorization"] = `Bearer ${data.token}`;
+                storeTokens(data);
                 setToken(data.token);
-                localStorage.setItem("token", data.token);
+                setAuthUser(userData);
+                connectSocket(userData);
                 toast.success(data.message || "Login successful");
                 return data;
             } else {
@@ -72,22 +241,20 @@ export const AuthProvider = ({ children }) => {
                 return null;
             }
         } catch (error) {
-            toast.error(error.response?.data?.message || error.message);
+            // Auth routes report failures as `error`; the rate limiter uses `message`
+            toast.error(error.response?.data?.error || error.response?.data?.message || error.message);
             return null;
         }
     };
 
     const logout = async () => {
         try {
-            localStorage.removeItem("token");
-            setToken(null);
-            setAuthUser(null);
-            setOnlineUsers([]);
-            axios.defaults.headers.common["authorization"] = null;
+            // Ending the server-side session matters less than signing out locally
+            await revokeRefreshToken().catch((error) => {
+                console.error("Failed to end session:", error);
+            });
+            clearSession();
             toast.success("Logged out successfully");
-            if (socket) {
-                socket.disconnect();
-            }
         } catch (error) {
             toast.error("Error logging out");
         }
@@ -110,6 +277,79 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    // Body: status, statusText and/or statusExpiresAt; contacts are told by the server
+    const setStatus = async (body) => {
+        try {
+            const { data } = await axios.put("/api/user/status", body);
+            setAuthUser((prev) => ({
+                ...prev,
+                presenceStatus: data.presenceStatus,
+                statusText: data.statusText,
+                statusExpiresAt: data.statusExpiresAt
+            }));
+            return data;
+        } catch (error) {
+            toast.error(error.response?.data?.error || error.message);
+            return null;
+        }
+    };
+
+    // Reports the user idle after a while without activity, and active again on the next one
+    useEffect(() => {
+        if (!socket) return;
+
+        let idle = false;
+        let lastActivity = Date.now();
+
+        const setIdle = (value) => {
+            if (idle === value) return;
+            idle = value;
+            socket.emit("presence:idle", value);
+        };
+
+        const onActivity = () => {
+            lastActivity = Date.now();
+            setIdle(false);
+        };
+
+        // Every new connection starts out active on the server
+        const onConnect = () => {
+            if (idle) socket.emit("presence:idle", true);
+        };
+
+        const activityEvents = ["pointerdown", "pointermove", "keydown", "wheel", "focus"];
+        activityEvents.forEach((event) => window.addEventListener(event, onActivity, { passive: true }));
+        socket.on("connect", onConnect);
+
+        const timer = setInterval(() => {
+            if (Date.now() - lastActivity >= IDLE_AFTER_MS) setIdle(true);
+        }, 30 * 1000);
+
+        return () => {
+            activityEvents.forEach((event) => window.removeEventListener(event, onActivity));
+            socket.off("connect", onConnect);
+            clearInterval(timer);
+        };
+    }, [socket]);
+
+    // The server only reads the token during the handshake, so a replaced
+    // token means the socket has to handshake again
+    useEffect(() => {
+        const currentSocket = socketRef.current;
+        if (!currentSocket || !token || socketTokenRef.current === token) return;
+        currentSocket.disconnect().connect();
+    }, [token]);
+
+    // Expired access tokens are renewed and the failed request retried;
+    // a session that can no longer be renewed signs the user out
+    useEffect(() => {
+        const interceptor = attachTokenRefresh(axios, {
+            onRefreshed: applyToken,
+            onExpired: clearSession
+        });
+        return () => axios.interceptors.response.eject(interceptor);
+    }, []);
+
     useEffect(() => {
         if (authChecked.current) return;
         authChecked.current = true;
@@ -123,11 +363,13 @@ export const AuthProvider = ({ children }) => {
     const value = {
         axios,
         authUser,
-        onlineUsers,
+        presence,
         socket,
         login,
         logout,
         updateProfile,
+        setStatus,
+        subscribeSync,
         token,
         setAuthUser
     };
@@ -21,6 +21,9 @@ function App() {
       <Routes>
         <Route path='/' element={<HomePage />} />
         <Route path='/auth' element={!authUser ? <LoginPage /> : <Navigate to="/messages" />} />
+        {/* Opened from emailed links, so they work whether or not someone is logged in */}
+        <Route path='/verify-email' element={<LoginPage />} />
+        <Route path='/reset-password' element={<LoginPage />} />
         <Route path='/messages' element={authUser ? <ChatPage /> : <Navigate to="/auth" />} />
         <Route path='/profile' element={authUser ? <UserProfilePage /> : <Navigate to="/auth" />} />
       </Routes>
@@ -0,0 +1,49 @@
+import toast from 'react-hot-toast';
+
+// Whatever index.html calls the app; the unread badge is put in front of it
+const BASE_TITLE = document.title;
+const ICON = '/PingMe.png';
+
+export const notificationsSupported = () => 'Notification' in window;
+
+// Browsers only show the permission prompt in response to a user gesture
+export const requestNotificationPermission = async () => {
+    if (!notificationsSupported()) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return Notification.requestPermission();
+};
+
+// A system notification while the tab is in the background, a toast while it is in view.
+// Notifications sharing a `tag` replace each other; `onOpen` runs when one is clicked.
+export const notify = ({ title, body, tag, onOpen }) => {
+    if (document.hidden) {
+        if (!notificationsSupported() || Notification.permission !== 'granted') return;
+
+        const notification = new Notification(title, { body, tag, icon: ICON });
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+            onOpen?.();
+        };
+        return;
+    }
+
+    toast((t) => (
+        <button
+            type="button"
+            onClick={() => {
+                toast.dismiss(t.id);
+                onOpen?.();
+            }}
+            className="text-left"
+        >
+            <p className="font-semibold text-sm">{title}</p>
+            {body && <p className="text-sm text-gray-600 truncate max-w-[240px]">{body}</p>}
+        </button>
+    ), { id: tag });
+};
+
+// "(3) PingMe"; a count of 0 restores the plain title
+export const setUnreadBadge = (count) => {
+    document.title = count > 0 ? `(${count > 99 ? '99+' : count}) ${BASE_TITLE}` : BASE_TITLE;
+};
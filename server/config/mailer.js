@@ -0,0 +1,26 @@
+const dotenv = require('dotenv')
+
+dotenv.config()
+
+// MAIL_TRANSPORT picks how outgoing email is delivered: "smtp" for real delivery,
+// "file" to drop messages into MAIL_OUTBOX_DIR, or "console" (default) to log them.
+// Every driver exposes sendMail({ to, subject, text, html }).
+const drivers = {
+    smtp: () => require('../utils/mailer/smtpMailer'),
+    file: () => require('../utils/mailer/localMailer').fileMailer,
+    console: () => require('../utils/mailer/localMailer').consoleMailer
+}
+
+const transportName = (process.env.MAIL_TRANSPORT || 'console').toLowerCase()
+
+if (!drivers[transportName]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`)
+}
+
+const mailer = drivers[transportName]()
+
+module.exports = {
+    transport: transportName,
+    from: process.env.MAIL_FROM || 'PingMe <no-reply@pingme.local>',
+    sendMail: mailer.sendMail
+}
@@ -0,0 +1,22 @@
+const Redis = require('redis')
+const dotenv = require('dotenv')
+
+dotenv.config()
+
+// Shared connection for infrastructure that needs Redis (caching, rate limiting, lockouts).
+// Users of it check isReady and degrade on their own while it is down.
+const redisClient = Redis.createClient({ url: process.env.REDIS_URL })
+
+// The client keeps reconnecting in the background, so report each outage once
+let reportedDown = false
+redisClient.on('error', (err) => {
+    if (reportedDown) return
+    reportedDown = true
+    console.error('Redis Client Error', err)
+})
+redisClient.on('ready', () => {
+    reportedDown = false
+})
+redisClient.connect().catch(() => {})
+
+module.exports = redisClient
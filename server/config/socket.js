@@ -1,6 +1,13 @@
 // CORRECTED VERSION - All bugs fixed
 
+const mongoose = require('mongoose');
 const { Server } = require('socket.io'); // Fixed: Proper destructuring
+const { createAdapter } = require('@socket.io/redis-adapter');
+const redisClient = require('./redis');
+const verifySocketToken = require('../middleware/socketAuthMiddleware');
+const { consume } = require('../utils/rateLimiter');
+const User = require('../models/User');
+const presence = require('../utils/presence');
 
 // Fixed: Correct initialization - Server needs http server instance
 const io = new Server({
@@ -9,40 +16,298 @@ const io = new Server({
     }
 });
 
-// Fixed: userSocketMap should be a simple object, not attached to socket module
-const userSocketMap = {};
+// Every socket of a user joins this room, so one emit reaches all their devices
+const userRoom = (userId) => `user:${userId}`;
+
+// Sockets of one login session, so revoking the session can disconnect them
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// A typing indicator is dropped if the client stops refreshing it
+const TYPING_TIMEOUT = 5000;
+// How long a socket trusts its last check of whether it may show typing to a user
+const TYPING_PERMISSION_TTL = 60 * 1000;
+
+// The adapter needs its own connections, since a subscribed client can't run other commands
+const duplicateClient = () => {
+    const client = redisClient.duplicate();
+    // Outages are already reported by the shared client
+    client.on('error', () => {});
+    client.connect().catch(() => {});
+    return client;
+};
 
 const establishConnection = (httpServer) => {
     // Attach Socket.IO to HTTP server
     io.attach(httpServer);
 
+    // Broadcasts and room changes go through Redis, so an emit from any instance
+    // reaches sockets connected to the others
+    io.adapter(createAdapter(duplicateClient(), duplicateClient()));
+
+    presence.startPresence({
+        // Users whose instance crashed
+        onOffline: async (userIds) => {
+            await markLastSeen(userIds);
+            userIds.forEach(broadcastPresence);
+        },
+        // Others may have missed changes of our users while Redis was down
+        onResync: (userIds) => userIds.forEach((userId) => {
+            broadcastPresence(userId);
+            sendPresenceSnapshot(userId);
+        })
+    });
+
+    // Only sockets carrying a valid JWT get through; the identity comes from the token
+    io.use(verifySocketToken);
+
     io.on('connection', (socket) => {
-        const userId = socket.handshake.query.userId;
+        const userId = socket.userId;
         console.log('User Connected:', userId);
 
-        if (userId && userId !== 'undefined') {
-            userSocketMap[userId] = socket.id; // Fixed: Use socket.id, not socket.userId
-        }
+        socket.join(userRoom(userId));
+        socket.join(sessionRoom(socket.sessionId));
 
-        // Emit online users to all clients
-        io.emit("getOnlineUsers", Object.keys(userSocketMap));
+        // Join one room per group so group messages fan out with a single emit
+        socket.user.groupsPresent.forEach((groupId) => socket.join(groupRoom(groupId)));
 
-        socket.on('disconnect', () => {
+        // Incoming events share one per-user budget, like the HTTP send routes.
+        // Over-limit events are dropped and the client is told when to retry.
+        socket.use(async ([event], next) => {
+            const result = await consume('socketEvent', userId);
+            if (result.allowed) return next();
+            socket.emit('rateLimited', { event, retryAfter: result.resetSec });
+        });
+
+        registerTypingEvents(socket);
+
+        // Contacts learn this user is online, and this socket learns about its contacts
+        presence.addSocket(userId, socket.id).then(() => {
+            broadcastPresence(userId);
+            sendPresenceSnapshot(userId, socket);
+        });
+
+        // The client reports when the user stops or resumes interacting with it
+        socket.on('presence:idle', async (idle) => {
+            if (await presence.setIdle(userId, socket.id, idle === true)) {
+                broadcastPresence(userId);
+            }
+        });
+
+        socket.on('disconnect', async () => {
             console.log('User Disconnected:', userId);
-            delete userSocketMap[userId];
-            io.emit("getOnlineUsers", Object.keys(userSocketMap));
+
+            // The user only goes offline once their last socket, on any instance, is gone
+            const change = await presence.removeSocket(userId, socket.id);
+            if (change === 'offline') await markLastSeen([userId]);
+            if (change) broadcastPresence(userId);
+        });
+    });
+};
+
+// Relays typing:start / typing:stop to the conversation partner ({ to }) or to the
+// other members of a group ({ groupId }) and expires indicators the client forgot to stop
+const registerTypingEvents = (socket) => {
+    const userId = socket.userId;
+    const active = new Map(); // target key -> { target, timer }
+    const permissions = new Map(); // user id -> { allowed, checkedAt }
+
+    // Only contacts see each other typing, and never across a block
+    const mayTypeTo = async (otherId) => {
+        const cached = permissions.get(otherId);
+        if (cached && Date.now() - cached.checkedAt < TYPING_PERMISSION_TTL) return cached.allowed;
+
+        let allowed = false;
+        if (mongoose.Types.ObjectId.isValid(otherId)) {
+            try {
+                const [contact, notBlocked] = await Promise.all([
+                    User.exists({ _id: userId, contacts: otherId, blockedUsers: { $ne: otherId } }),
+                    User.exists({ _id: otherId, blockedUsers: { $ne: userId } })
+                ]);
+                allowed = Boolean(contact && notBlocked);
+            } catch (error) {
+                // Not allowed for now, and not cached, so the next event checks again
+                console.error('Failed to check typing permission:', error);
+                return false;
+            }
+        }
+
+        permissions.set(otherId, { allowed, checkedAt: Date.now() });
+        return allowed;
+    };
+
+    const targetKey = async (target) => {
+        if (typeof target?.groupId === 'string') {
+            // Room membership doubles as the group membership check
+            return socket.rooms.has(groupRoom(target.groupId)) ? groupRoom(target.groupId) : null;
+        }
+        if (typeof target?.to === 'string' && target.to !== userId && await mayTypeTo(target.to)) {
+            return userRoom(target.to);
+        }
+        return null;
+    };
+
+    const relay = (event, key, target) => {
+        socket.to(key).emit(event, {
+            from: userId,
+            name: socket.user.name,
+            groupId: target.groupId
+        });
+    };
+
+    const expire = (key) => {
+        const entry = active.get(key);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        active.delete(key);
+        relay('typing:stop', key, entry.target);
+    };
+
+    socket.on('typing:start', async (target) => {
+        const key = await targetKey(target);
+        if (!key) return;
+
+        // Relayed on every refresh so receivers can expire the indicator on their side too
+        clearTimeout(active.get(key)?.timer);
+        relay('typing:start', key, target);
+
+        active.set(key, {
+            target,
+            timer: setTimeout(() => expire(key), TYPING_TIMEOUT)
         });
     });
+
+    socket.on('typing:stop', async (target) => {
+        const key = await targetKey(target);
+        if (key) expire(key);
+    });
+
+    socket.on('disconnect', () => {
+        [...active.keys()].forEach(expire);
+    });
+};
+
+const PRESENCE_FIELDS = 'presenceStatus statusText statusExpiresAt lastSeenAt';
+
+// What a user's presence looks like to others: invisible appears offline and an idle
+// "online" appears away. Their own devices see the status they picked instead.
+const describePresence = (user, state, self = false) => {
+    const hasText = Boolean(user.statusText) && (!user.statusExpiresAt || user.statusExpiresAt > new Date());
+
+    let status = user.presenceStatus;
+    if (state === 'offline' || (status === 'invisible' && !self)) status = 'offline';
+    else if (status === 'online' && state === 'idle') status = 'away';
+
+    return {
+        userId: user._id.toString(),
+        status,
+        statusText: hasText ? user.statusText : '',
+        statusExpiresAt: hasText ? user.statusExpiresAt : null,
+        lastSeenAt: user.lastSeenAt
+    };
+};
+
+// Contacts of `user` that may see each other, i.e. no block in either direction
+const visibleContacts = async (user, fields) => {
+    const blocked = new Set(user.blockedUsers.map((id) => id.toString()));
+    const contacts = await User.find({
+        _id: { $in: user.contacts },
+        blockedUsers: { $ne: user._id }
+    }).select(fields);
+
+    return contacts.filter((contact) => !blocked.has(contact._id.toString()));
+};
+
+// Invisible users leave no trace of having been online
+const markLastSeen = async (userIds) => {
+    try {
+        await User.updateMany(
+            { _id: { $in: userIds }, presenceStatus: { $ne: 'invisible' } },
+            { lastSeenAt: new Date() }
+        );
+    } catch (error) {
+        console.error('Failed to record last seen:', error);
+    }
+};
+
+// Sends a user's current presence to their contacts and their own devices, as a diff
+const broadcastPresence = async (userId) => {
+    try {
+        const user = await User.findById(userId).select(`contacts blockedUsers ${PRESENCE_FIELDS}`);
+        if (!user) return;
+
+        const states = await presence.getStates([userId]);
+        const state = states.get(userId.toString());
+
+        const viewers = await visibleContacts(user, '_id');
+        if (viewers.length > 0) {
+            io.to(viewers.map((viewer) => userRoom(viewer._id))).emit('presence:update', describePresence(user, state));
+        }
+        // Own devices also get the picked status, which "away" may be hiding
+        emitToUser(userId, 'presence:update', {
+            ...describePresence(user, state, true),
+            presenceStatus: user.presenceStatus
+        });
+    } catch (error) {
+        console.error('Failed to broadcast presence:', error);
+    }
+};
+
+// Sends the presence of every visible contact, replacing what the client knew.
+// `target` defaults to all of the user's devices.
+const sendPresenceSnapshot = async (userId, target = io.to(userRoom(userId.toString()))) => {
+    try {
+        const user = await User.findById(userId).select('contacts blockedUsers');
+        if (!user) return;
+
+        const contacts = await visibleContacts(user, PRESENCE_FIELDS);
+        const states = await presence.getStates(contacts.map((contact) => contact._id));
+
+        target.emit('presence:snapshot', contacts.map((contact) => (
+            describePresence(contact, states.get(contact._id.toString()))
+        )));
+    } catch (error) {
+        console.error('Failed to send presence snapshot:', error);
+    }
+};
+
+// After contacts or blocks between users change, each of them gets a fresh snapshot
+const refreshPresence = async (...userIds) => {
+    await Promise.all(userIds.map((userId) => sendPresenceSnapshot(userId)));
+};
+
+// Resolves to whether the user has a socket on any instance
+const isUserOnline = (userId) => presence.isOnline(userId);
+
+// Emit to every connected device of a user (a no-op when they are offline)
+const emitToUser = (userId, event, payload) => {
+    io.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+// Room name shared by every online member of a group
+const groupRoom = (groupId) => `group:${groupId}`;
+
+// Keep the rooms of already-connected sockets in sync when membership changes
+const joinGroupRoom = (userIds, groupId) => {
+    if (userIds.length === 0) return;
+    io.in(userIds.map((id) => userRoom(id.toString()))).socketsJoin(groupRoom(groupId));
 };
 
-// Helper function to get socket ID for a user
-const getReceiverSocketId = (receiverId) => {
-    return userSocketMap[receiverId];
+const leaveGroupRoom = (userIds, groupId) => {
+    if (userIds.length === 0) return;
+    io.in(userIds.map((id) => userRoom(id.toString()))).socketsLeave(groupRoom(groupId));
 };
 
 module.exports = {
     io,
     establishConnection,
-    getReceiverSocketId,
-    userSocketMap
+    isUserOnline,
+    emitToUser,
+    userRoom,
+    groupRoom,
+    sessionRoom,
+    joinGroupRoom,
+    leaveGroupRoom,
+    broadcastPresence,
+    refreshPresence
 };
\ No newline at end of file
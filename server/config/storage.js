@@ -0,0 +1,27 @@
+const dotenv = require('dotenv')
+
+dotenv.config()
+
+// STORAGE_DRIVER picks where uploads go: "cloudinary" (default) or "local" for
+// offline dev/test setups. Both expose save(buffer, options) and resolveUrl(ref).
+const drivers = {
+    cloudinary: () => require('../utils/storage/cloudinaryStorage'),
+    local: () => require('../utils/storage/diskStorage')
+}
+
+const driverName = (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase()
+
+if (!drivers[driverName]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`)
+}
+
+const storage = drivers[driverName]()
+
+// The local driver's references are resolved even if the driver was switched later
+const diskStorage = require('../utils/storage/diskStorage')
+
+module.exports = {
+    driver: driverName,
+    save: storage.save,
+    resolveUrl: (ref) => diskStorage.resolveUrl(ref)
+}
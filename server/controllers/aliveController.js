@@ -1,5 +1,12 @@
+const { getStats } = require('../utils/cache')
+
 const aLive = (req, res) => {
   return res.status(200).json({ message: 'Server is alive' })
 }
 
-module.exports = aLive
+// Hit/miss counters of the shared cache since the process started
+const cacheStats = (req, res) => {
+  return res.status(200).json({ cache: getStats() })
+}
+
+module.exports = { aLive, cacheStats }
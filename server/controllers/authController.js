@@ -1,6 +1,14 @@
 const bcrypt = require('bcryptjs')
+const mongoose = require('mongoose')
 const User = require('../models/User')
+const Session = require('../models/Session')
 const generateToken = require('../utils/generateToken')
+const { hashToken, createSession, rotateSession, revokeSessions } = require('../utils/sessions')
+const { consumeAuthToken, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/authTokens')
+const { getLockout, recordFailedLogin, clearFailedLogins } = require('../utils/rateLimiter')
+
+// Compared against when the email is unknown, so both failures take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 12)
 
 
 /* =========================
@@ -16,26 +24,37 @@ const Login = async (req, res) => {
       })
     }
 
-    const existingUser = await User.findOne({ email })
+    const lockedFor = await getLockout(email)
 
-    if (!existingUser) {
-      return res.status(404).json({
-        error: 'User not found'
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(lockedFor))
+      return res.status(429).json({
+        error: 'Too many failed attempts, please try again later'
       })
     }
 
+    const existingUser = await User.findOne({ email })
+
     const isPasswordValid = await bcrypt.compare(
       password,
-      existingUser.password
+      existingUser?.password || DUMMY_PASSWORD_HASH
     )
 
-    if (!isPasswordValid) {
+    // One answer for unknown emails and wrong passwords, so accounts cannot be probed
+    if (!existingUser || !isPasswordValid) {
+      const lockout = await recordFailedLogin(email)
+      if (lockout > 0) {
+        res.set('Retry-After', String(lockout))
+      }
       return res.status(401).json({
-        error: 'Incorrect password'
+        error: 'Invalid email or password'
       })
     }
 
-    const token = generateToken(existingUser);
+    await clearFailedLogins(email)
+
+    const { session, refreshToken } = await createSession(existingUser._id, req)
+    const token = generateToken(existingUser, session._id);
 
     existingUser.password = undefined
 
@@ -43,6 +62,7 @@ const Login = async (req, res) => {
       success: true,
       message: 'Login Successful',
       token,
+      refreshToken,
       user: {
         id: existingUser._id,
         name: existingUser.name,
@@ -50,7 +70,9 @@ const Login = async (req, res) => {
         username: existingUser.username,
         groupsPresent: existingUser.groupsPresent,
         groupCount: existingUser.groupCount,
-        avatar: existingUser.avatar
+        avatar: existingUser.avatar,
+        emailVerified: existingUser.emailVerified,
+        mutedConversations: existingUser.mutedConversations
       }
     })
   } catch (error) {
@@ -97,18 +119,28 @@ const Register = async (req, res) => {
 
     await newUser.save()
 
-    const token = generateToken(newUser);
+    // A mail outage should not fail the signup; the user can ask for a new link
+    try {
+      await sendVerificationEmail(newUser)
+    } catch (mailError) {
+      console.log('Failed to send verification email:', mailError)
+    }
+
+    const { session, refreshToken } = await createSession(newUser._id, req)
+    const token = generateToken(newUser, session._id);
 
     return res.status(201).json({
       success: true,
       message: 'User Created',
       token,
+      refreshToken,
       user: {
         id: newUser._id,
         name: newUser.name,
         email: newUser.email,
         username: newUser.username,
-        avatar: newUser.avatar
+        avatar: newUser.avatar,
+        emailVerified: newUser.emailVerified
       }
     })
   } catch (error) {
@@ -125,7 +157,7 @@ const Register = async (req, res) => {
 ========================= */
 const CheckAuth = async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user._id;
 
     const user = await User.findById(userId).select('-password');
 
@@ -144,7 +176,9 @@ const CheckAuth = async (req, res) => {
         name: user.name,
         email: user.email,
         username: user.username,
-        avatar: user.avatar
+        avatar: user.avatar,
+        emailVerified: user.emailVerified,
+        mutedConversations: user.mutedConversations
       }
     });
   } catch (error) {
@@ -156,4 +190,300 @@ const CheckAuth = async (req, res) => {
   }
 }
 
-module.exports = { Login, Register, CheckAuth }
+/* =========================
+   REFRESH
+========================= */
+// Trades a refresh token for a new access token and a new refresh token
+const Refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token is required'
+      })
+    }
+
+    const result = await rotateSession(refreshToken, req)
+
+    if (result.error) {
+      return res.status(401).json({
+        error: result.error === 'reused'
+          ? 'Refresh token reuse detected, session revoked'
+          : 'Invalid refresh token'
+      })
+    }
+
+    const user = await User.findById(result.session.userId).select('-password')
+
+    if (!user) {
+      await revokeSessions({ _id: result.session._id })
+      return res.status(401).json({
+        error: 'User not found'
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      token: generateToken(user, result.session._id),
+      refreshToken: result.refreshToken
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+/* =========================
+   LOGOUT
+========================= */
+// Ends the session the refresh token belongs to; works with an expired access token.
+// The whole token must match, since session ids alone are easy to guess.
+const Logout = async (req, res) => {
+  try {
+    const refreshToken = String(req.body.refreshToken || '')
+    const [sessionId] = refreshToken.split('.')
+
+    if (mongoose.Types.ObjectId.isValid(sessionId)) {
+      await revokeSessions({ _id: sessionId, tokenHash: hashToken(refreshToken) }, 'logout')
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+/* =========================
+   SESSIONS
+========================= */
+const GetSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ip lastUsedAt createdAt')
+      .sort({ lastUsedAt: -1 })
+
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.sessionId
+      }))
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+const RevokeSession = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        error: 'Session not found'
+      })
+    }
+
+    const revoked = await revokeSessions({ _id: id, userId: req.user._id })
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found'
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+// ?exceptCurrent=true signs out every other device and keeps this one
+const RevokeAllSessions = async (req, res) => {
+  try {
+    const filter = { userId: req.user._id }
+
+    if (req.query.exceptCurrent === 'true') {
+      filter._id = { $ne: req.sessionId }
+    }
+
+    const revoked = await revokeSessions(filter)
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sessions revoked',
+      revoked
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+/* =========================
+   EMAIL VERIFICATION
+========================= */
+const VerifyEmail = async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'verify-email')
+
+    if (!authToken) {
+      return res.status(400).json({
+        error: 'Verification link is invalid or has expired'
+      })
+    }
+
+    await User.updateOne(
+      { _id: authToken.userId, emailVerified: false },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    )
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email verified'
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+const ResendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        error: 'Email is already verified'
+      })
+    }
+
+    await sendVerificationEmail(req.user)
+
+    return res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+/* =========================
+   PASSWORD RESET
+========================= */
+// Answers the same way whether or not the email is registered
+const ForgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is required'
+      })
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() })
+
+    if (user) {
+      // A mail failure must not give away that the email is registered
+      try {
+        await sendPasswordResetEmail(user)
+      } catch (mailError) {
+        console.log('Failed to send password reset email:', mailError)
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'If that email is registered, a reset link is on its way'
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+// Sets the new password and signs the account out everywhere
+const ResetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Token and new password are required'
+      })
+    }
+
+    const authToken = await consumeAuthToken(token, 'reset-password')
+
+    if (!authToken) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired'
+      })
+    }
+
+    const hashedPass = await bcrypt.hash(password, 12)
+
+    // Following the emailed link also proves the address is theirs
+    await User.updateOne(
+      { _id: authToken.userId },
+      { $set: { password: hashedPass, emailVerified: true, emailVerifiedAt: new Date() } }
+    )
+    await revokeSessions({ userId: authToken.userId }, 'password-reset')
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password updated, please log in'
+    })
+  } catch (error) {
+    console.log(error)
+    return res.status(500).json({
+      error: 'Internal Server Error'
+    })
+  }
+}
+
+module.exports = {
+  Login,
+  Register,
+  CheckAuth,
+  Refresh,
+  Logout,
+  GetSessions,
+  RevokeSession,
+  RevokeAllSessions,
+  VerifyEmail,
+  ResendVerification,
+  ForgotPassword,
+  ResetPassword
+}
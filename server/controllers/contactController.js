@@ -0,0 +1,313 @@
+const mongoose = require('mongoose')
+const User = require('../models/User')
+const Conversation = require('../models/Conversation')
+const ContactRequest = require('../models/ContactRequest')
+const { emitToUser } = require('../config/socket')
+const { getHiddenUserIds, hasId } = require('../utils/blocking')
+const { directKey, unreadFor } = require('../utils/conversations')
+const {
+    addContacts,
+    removeContacts,
+    requestContact,
+    refreshContacts,
+    notifyContactRequest
+} = require('../utils/contacts')
+
+const PUBLIC_FIELDS = 'name username avatar'
+// Lookups need a few characters and return a handful of matches, so they can't list the directory
+const MIN_LOOKUP_LENGTH = 3
+const LOOKUP_LIMIT = 10
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const GetContacts = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .select('contacts')
+            .populate('contacts', PUBLIC_FIELDS)
+
+        return res.status(200).json({
+            success: true,
+            contacts: user.contacts
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+// ?q= is an exact email address or the start of a username
+const SearchUsers = async (req, res) => {
+    try {
+        const me = req.user
+        const query = (req.query.q || '').trim()
+
+        if (query.length < MIN_LOOKUP_LENGTH) {
+            return res.status(400).json({
+                error: `Enter at least ${MIN_LOOKUP_LENGTH} characters`
+            })
+        }
+
+        const hiddenIds = await getHiddenUserIds(me)
+        const filter = query.includes('@')
+            ? { email: query.toLowerCase() }
+            : { username: { $regex: `^${escapeRegex(query)}`, $options: 'i' } }
+
+        const users = await User.find({ ...filter, _id: { $ne: me._id, $nin: hiddenIds } })
+            .select(PUBLIC_FIELDS)
+            .limit(LOOKUP_LIMIT)
+
+        const ids = users.map((user) => user._id)
+        const requests = await ContactRequest.find({
+            $or: [
+                { from: me._id, to: { $in: ids } },
+                { from: { $in: ids }, to: me._id, status: 'pending' }
+            ]
+        }).select('from to status')
+
+        // A declined request still reads as outgoing, so nobody learns they were turned down
+        const relationOf = (userId) => {
+            if (hasId(me.contacts, userId)) return 'contact'
+            if (requests.some((r) => r.from.equals(userId))) return 'incoming'
+            if (requests.some((r) => r.to.equals(userId))) return 'outgoing'
+            return 'none'
+        }
+
+        return res.status(200).json({
+            success: true,
+            users: users.map((user) => ({ ...user.toJSON(), relation: relationOf(user._id) }))
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+// Pending requests both ways. Incoming ones carry the latest message the stranger sent,
+// which is what the message requests inbox shows.
+const GetContactRequests = async (req, res) => {
+    try {
+        const me = req.user
+        const hiddenIds = await getHiddenUserIds(me)
+
+        const [incoming, outgoing] = await Promise.all([
+            ContactRequest.find({ to: me._id, from: { $nin: hiddenIds }, status: 'pending' })
+                .populate('from', PUBLIC_FIELDS)
+                .sort({ updatedAt: -1 }),
+            ContactRequest.find({ from: me._id, to: { $nin: hiddenIds }, status: { $ne: 'accepted' } })
+                .populate('to', PUBLIC_FIELDS)
+                .sort({ updatedAt: -1 })
+        ])
+
+        const conversations = await Conversation.find({
+            key: { $in: incoming.map((request) => directKey(request.from._id, me._id)) }
+        }).populate('lastMessage', 'message attachmentMeta deletedForEveryone deletedFor createdAt')
+
+        const withMessages = incoming.map((request) => {
+            const conversation = conversations.find((c) => c.key === directKey(request.from._id, me._id))
+            const lastMessage = conversation?.lastMessage
+
+            return {
+                ...request.toJSON(),
+                lastMessage: lastMessage && !hasId(lastMessage.deletedFor, me._id) ? lastMessage : null,
+                unread: unreadFor(conversation, me._id)
+            }
+        })
+
+        return res.status(200).json({
+            success: true,
+            incoming: withMessages,
+            // Declined requests stay listed as pending for the sender
+            outgoing: outgoing.map((request) => ({ ...request.toJSON(), status: 'pending' }))
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+// body.userId is the user to add
+const SendContactRequest = async (req, res) => {
+    try {
+        const id = String(req.body.userId || '')
+        const me = req.user
+
+        if (id === me._id.toString()) {
+            return res.status(400).json({
+                error: 'You cannot add yourself'
+            })
+        }
+
+        const hiddenIds = await getHiddenUserIds(me)
+        if (!mongoose.Types.ObjectId.isValid(id) || hasId(hiddenIds, id) || !(await User.exists({ _id: id }))) {
+            return res.status(404).json({
+                error: 'User not found'
+            })
+        }
+
+        const result = await requestContact(me, id)
+
+        if (result === 'requested') {
+            notifyContactRequest(me, id)
+        } else if (result === 'accepted') {
+            await refreshContacts(me._id, id)
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: result === 'contact' || result === 'accepted' ? 'Contact added' : 'Contact request sent',
+            relation: result === 'contact' || result === 'accepted' ? 'contact' : 'outgoing'
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+// Loads a request addressed to the caller (respond) or sent by them (cancel)
+const loadRequest = async (req, res, side) => {
+    const { id } = req.params
+    const request = mongoose.Types.ObjectId.isValid(id)
+        ? await ContactRequest.findOne({ _id: id, [side]: req.user._id })
+        : null
+
+    if (!request) {
+        res.status(404).json({
+            error: 'Contact request not found'
+        })
+        return null
+    }
+
+    return request
+}
+
+const AcceptContactRequest = async (req, res) => {
+    try {
+        const request = await loadRequest(req, res, 'to')
+        if (!request) return
+
+        if (request.status !== 'pending') {
+            return res.status(400).json({
+                error: 'This request was already answered'
+            })
+        }
+
+        await addContacts(request.to, request.from)
+        await refreshContacts(request.to, request.from)
+
+        const contact = await User.findById(request.from).select(PUBLIC_FIELDS)
+
+        return res.status(200).json({
+            success: true,
+            message: 'Contact request accepted',
+            contact
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+// Declining is silent: the sender keeps seeing the request as pending
+const DeclineContactRequest = async (req, res) => {
+    try {
+        const request = await loadRequest(req, res, 'to')
+        if (!request) return
+
+        if (request.status !== 'pending') {
+            return res.status(400).json({
+                error: 'This request was already answered'
+            })
+        }
+
+        request.status = 'declined'
+        request.respondedAt = new Date()
+        await request.save()
+
+        emitToUser(request.to, 'contactsChanged', { userId: request.from.toString() })
+
+        return res.status(200).json({
+            success: true,
+            message: 'Contact request declined'
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+const CancelContactRequest = async (req, res) => {
+    try {
+        const request = await loadRequest(req, res, 'from')
+        if (!request) return
+
+        if (request.status === 'accepted') {
+            return res.status(400).json({
+                error: 'This request was already accepted'
+            })
+        }
+
+        await request.deleteOne()
+        await refreshContacts(request.from, request.to)
+
+        return res.status(200).json({
+            success: true,
+            message: 'Contact request cancelled'
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+// :id is the contact to remove; the conversation history is kept
+const RemoveContact = async (req, res) => {
+    try {
+        const { id } = req.params
+        const me = req.user
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !hasId(me.contacts, id)) {
+            return res.status(404).json({
+                error: 'Contact not found'
+            })
+        }
+
+        await removeContacts(me._id, id)
+        await refreshContacts(me._id, id)
+
+        return res.status(200).json({
+            success: true,
+            message: 'Contact removed'
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+module.exports = {
+    GetContacts,
+    SearchUsers,
+    GetContactRequests,
+    SendContactRequest,
+    AcceptContactRequest,
+    DeclineContactRequest,
+    CancelContactRequest,
+    RemoveContact
+}
@@ -0,0 +1,26 @@
+const { filePath, servesInline } = require('../utils/storage/diskStorage')
+
+const serveFile = (req, res) => {
+    const { folder, file } = req.params
+    const absolutePath = filePath(`${folder}/${file}`)
+
+    if (!absolutePath) {
+        return res.status(404).json({ message: 'File not found' })
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600')
+    // Browsers must not guess a type, nor render anything but media from the API origin
+    res.set('X-Content-Type-Options', 'nosniff')
+    if (!servesInline(file)) {
+        res.set('Content-Disposition', 'attachment')
+    }
+    res.sendFile(absolutePath, (error) => {
+        if (error && !res.headersSent) {
+            res.status(error.status === 404 ? 404 : 500).json({
+                message: error.status === 404 ? 'File not found' : 'Internal Server Error'
+            })
+        }
+    })
+}
+
+module.exports = { serveFile }
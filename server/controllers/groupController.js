@@ -0,0 +1,443 @@
+const mongoose = require("mongoose");
+const { io, groupRoom, joinGroupRoom, leaveGroupRoom } = require("../config/socket");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const Conversation = require("../models/Conversation");
+const { groupKey, recordMessage } = require("../utils/conversations");
+const { isBlockedBetween } = require("../utils/blocking");
+const { areContacts } = require("../utils/contacts");
+
+const MEMBER_FIELDS = "name username avatar";
+
+const hasId = (list, userId) => list.some((id) => id.toString() === userId.toString());
+
+const isMember = (group, userId) => hasId(group.members, userId);
+const isAdmin = (group, userId) => hasId(group.admin, userId);
+
+// Keeps User.groupsPresent / groupCount in step with group membership.
+// The groupsPresent filter makes both calls idempotent, so a user is never counted twice.
+const attachUsersToGroup = async (groupId, userIds) => {
+    await User.updateMany(
+        { _id: { $in: userIds }, groupsPresent: { $ne: groupId } },
+        { $push: { groupsPresent: groupId }, $inc: { groupCount: 1 } }
+    );
+    joinGroupRoom(userIds, groupId);
+};
+
+const detachUsersFromGroup = async (groupId, userIds) => {
+    await User.updateMany(
+        { _id: { $in: userIds }, groupsPresent: groupId },
+        { $pull: { groupsPresent: groupId }, $inc: { groupCount: -1 } }
+    );
+    leaveGroupRoom(userIds, groupId);
+};
+
+const addSystemMessage = async (group, actorId, text) => {
+    const message = await Message.create({
+        senderId: actorId,
+        groupId: group._id,
+        message: text,
+        systemMessage: true
+    });
+
+    await message.populate("senderId", MEMBER_FIELDS);
+    await recordMessage(message, group.members);
+    io.to(groupRoom(group._id)).emit("newMessage", message);
+
+    return message;
+};
+
+// Returns the distinct, existing users among the given ids (invalid ids are dropped).
+const findUsers = async (ids) => {
+    const validIds = [...new Set((ids || []).map(String))]
+        .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+    if (validIds.length === 0) return [];
+
+    return User.find({ _id: { $in: validIds } }).select("name");
+};
+
+// Only accepted contacts of whoever adds them can join a group, and never across a block,
+// so a group can't be used to reach someone a direct message couldn't.
+// Resolves to the reason the first such user can't be added, or null.
+const checkAddable = async (me, users) => {
+    for (const user of users) {
+        if (await isBlockedBetween(me, user._id)) return `You cannot add ${user.name}`;
+        if (!areContacts(me, user._id)) return `${user.name} is not one of your contacts`;
+    }
+    return null;
+};
+
+const loadGroup = async (req, res) => {
+    const { id } = req.params;
+
+    const group = mongoose.Types.ObjectId.isValid(id) ? await Group.findById(id) : null;
+
+    if (!group) {
+        res.status(404).json({ success: false, message: "Group not found" });
+        return null;
+    }
+
+    if (!isMember(group, req.user._id)) {
+        res.status(403).json({ success: false, message: "You are not a member of this group" });
+        return null;
+    }
+
+    return group;
+};
+
+const populateGroup = (group) => {
+    return group.populate([
+        { path: "members", select: MEMBER_FIELDS },
+        { path: "admin", select: MEMBER_FIELDS },
+        { path: "creator", select: MEMBER_FIELDS }
+    ]);
+};
+
+const removeGroup = async (group) => {
+    io.to(groupRoom(group._id)).emit("groupDeleted", { groupId: group._id });
+    await detachUsersFromGroup(group._id, group.members);
+    await Message.deleteMany({ groupId: group._id });
+    await Conversation.deleteOne({ key: groupKey(group._id) });
+    await group.deleteOne();
+};
+
+const getMyGroups = async (req, res) => {
+    try {
+        const groups = await Group.find({ members: req.user._id })
+            .populate("members", MEMBER_FIELDS)
+            .sort({ updatedAt: -1 });
+
+        return res.status(200).json({ success: true, groups });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const getGroup = async (req, res) => {
+    try {
+        const group = await loadGroup(req, res);
+        if (!group) return;
+
+        await populateGroup(group);
+
+        return res.status(200).json({ success: true, group });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const createGroup = async (req, res) => {
+    try {
+        const me = req.user;
+        const name = req.body.name?.trim();
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: "Group name is required"
+            });
+        }
+
+        const others = (await findUsers(req.body.members))
+            .filter((user) => user._id.toString() !== me._id.toString());
+
+        const notAddable = await checkAddable(me, others);
+        if (notAddable) {
+            return res.status(403).json({ success: false, message: notAddable });
+        }
+
+        const members = [me._id, ...others.map((user) => user._id)];
+
+        const group = await Group.create({
+            name,
+            creator: me._id,
+            admin: [me._id],
+            members,
+            headCount: members.length
+        });
+
+        await attachUsersToGroup(group._id, members);
+
+        await addSystemMessage(group, me._id, `${me.name} created the group "${name}"`);
+        if (others.length > 0) {
+            await addSystemMessage(group, me._id, `${me.name} added ${others.map((user) => user.name).join(", ")}`);
+        }
+
+        await populateGroup(group);
+
+        return res.status(201).json({
+            success: true,
+            message: "Group created",
+            group
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const renameGroup = async (req, res) => {
+    try {
+        const me = req.user;
+        const group = await loadGroup(req, res);
+        if (!group) return;
+
+        const name = req.body.name?.trim();
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: "Group name is required" });
+        }
+
+        if (!isAdmin(group, me._id)) {
+            return res.status(403).json({ success: false, message: "Only admins can rename the group" });
+        }
+
+        const oldName = group.name;
+        group.name = name;
+        await group.save();
+
+        await addSystemMessage(group, me._id, `${me.name} renamed the group from "${oldName}" to "${name}"`);
+
+        return res.status(200).json({ success: true, message: "Group renamed", group });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const addMembers = async (req, res) => {
+    try {
+        const me = req.user;
+        const group = await loadGroup(req, res);
+        if (!group) return;
+
+        if (!isAdmin(group, me._id)) {
+            return res.status(403).json({ success: false, message: "Only admins can add members" });
+        }
+
+        const newcomers = (await findUsers(req.body.members))
+            .filter((user) => !isMember(group, user._id));
+
+        if (newcomers.length === 0) {
+            return res.status(400).json({ success: false, message: "No new members to add" });
+        }
+
+        const notAddable = await checkAddable(me, newcomers);
+        if (notAddable) {
+            return res.status(403).json({ success: false, message: notAddable });
+        }
+
+        const newIds = newcomers.map((user) => user._id);
+        group.members.push(...newIds);
+        group.headCount = group.members.length;
+        await group.save();
+
+        await attachUsersToGroup(group._id, newIds);
+        await addSystemMessage(group, me._id, `${me.name} added ${newcomers.map((user) => user.name).join(", ")}`);
+
+        await populateGroup(group);
+
+        return res.status(200).json({ success: true, message: "Members added", group });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const removeMember = async (req, res) => {
+    try {
+        const me = req.user;
+        const { userId } = req.params;
+        const group = await loadGroup(req, res);
+        if (!group) return;
+
+        if (!isAdmin(group, me._id)) {
+            return res.status(403).json({ success: false, message: "Only admins can remove members" });
+        }
+
+        if (userId === me._id.toString()) {
+            return res.status(400).json({ success: false, message: "Use leave to exit the group" });
+        }
+
+        if (!isMember(group, userId)) {
+            return res.status(404).json({ success: false, message: "User is not a member of this group" });
+        }
+
+        if (group.creator?.toString() === userId) {
+            return res.status(403).json({ success: false, message: "The group creator cannot be removed" });
+        }
+
+        const removed = await User.findById(userId).select("name");
+
+        group.members.pull(userId);
+        group.admin.pull(userId);
+        group.headCount = group.members.length;
+        await group.save();
+
+        await detachUsersFromGroup(group._id, [userId]);
+        await addSystemMessage(group, me._id, `${me.name} removed ${removed?.name || "a member"}`);
+
+        await populateGroup(group);
+
+        return res.status(200).json({ success: true, message: "Member removed", group });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const promoteAdmin = async (req, res) => {
+    try {
+        const me = req.user;
+        const { userId } = req.params;
+        const group = await loadGroup(req, res);
+        if (!group) return;
+
+        if (!isAdmin(group, me._id)) {
+            return res.status(403).json({ success: false, message: "Only admins can promote members" });
+        }
+
+        if (!isMember(group, userId)) {
+            return res.status(404).json({ success: false, message: "User is not a member of this group" });
+        }
+
+        if (isAdmin(group, userId)) {
+            return res.status(400).json({ success: false, message: "User is already an admin" });
+        }
+
+        const promoted = await User.findById(userId).select("name");
+
+        group.admin.push(userId);
+        await group.save();
+
+        await addSystemMessage(group, me._id, `${me.name} made ${promoted?.name || "a member"} an admin`);
+
+        await populateGroup(group);
+
+        return res.status(200).json({ success: true, message: "Member promoted", group });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const demoteAdmin = async (req, res) => {
+    try {
+        const me = req.user;
+        const { userId } = req.params;
+        const group = await loadGroup(req, res);
+        if (!group) return;
+
+        if (!isAdmin(group, me._id)) {
+            return res.status(403).json({ success: false, message: "Only admins can demote admins" });
+        }
+
+        if (!isAdmin(group, userId)) {
+            return res.status(400).json({ success: false, message: "User is not an admin" });
+        }
+
+        if (group.creator?.toString() === userId) {
+            return res.status(403).json({ success: false, message: "The group creator cannot be demoted" });
+        }
+
+        if (group.admin.length === 1) {
+            return res.status(400).json({ success: false, message: "A group needs at least one admin" });
+        }
+
+        const demoted = await User.findById(userId).select("name");
+
+        group.admin.pull(userId);
+        await group.save();
+
+        await addSystemMessage(group, me._id, `${me.name} removed ${demoted?.name || "a member"} as admin`);
+
+        await populateGroup(group);
+
+        return res.status(200).json({ success: true, message: "Admin demoted", group });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const leaveGroup = async (req, res) => {
+    try {
+        const me = req.user;
+        const group = await loadGroup(req, res);
+        if (!group) return;
+
+        group.members.pull(me._id);
+        group.admin.pull(me._id);
+        group.headCount = group.members.length;
+
+        // Last one out deletes the group; they are no longer in members, so detach them here
+        if (group.members.length === 0) {
+            await detachUsersFromGroup(group._id, [me._id]);
+            await removeGroup(group);
+            return res.status(200).json({ success: true, message: "Left group" });
+        }
+
+        // Never leave a group without an admin: hand it to the longest-standing member
+        let successor = null;
+        if (group.admin.length === 0) {
+            successor = group.members[0];
+            group.admin.push(successor);
+        }
+
+        await group.save();
+        await detachUsersFromGroup(group._id, [me._id]);
+
+        await addSystemMessage(group, me._id, `${me.name} left`);
+        if (successor) {
+            const newAdmin = await User.findById(successor).select("name");
+            await addSystemMessage(group, me._id, `${newAdmin?.name || "A member"} is now an admin`);
+        }
+
+        return res.status(200).json({ success: true, message: "Left group" });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const deleteGroup = async (req, res) => {
+    try {
+        const me = req.user;
+        const group = await loadGroup(req, res);
+        if (!group) return;
+
+        // The creator owns the group; once they have left, any admin may delete it
+        const creatorPresent = group.creator && isMember(group, group.creator);
+        const allowed = creatorPresent
+            ? group.creator.toString() === me._id.toString()
+            : isAdmin(group, me._id);
+
+        if (!allowed) {
+            return res.status(403).json({ success: false, message: "You cannot delete this group" });
+        }
+
+        await removeGroup(group);
+
+        return res.status(200).json({ success: true, message: "Group deleted" });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+module.exports = {
+    getMyGroups,
+    getGroup,
+    createGroup,
+    renameGroup,
+    addMembers,
+    removeMember,
+    promoteAdmin,
+    demoteAdmin,
+    leaveGroup,
+    deleteGroup
+};
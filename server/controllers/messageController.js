@@ -1,126 +1,266 @@
-const { io, userSocketMap } = require("../config/socket");
+const mongoose = require("mongoose");
+const { io, emitToUser, groupRoom } = require("../config/socket");
+const Group = require("../models/Group");
 const Message = require("../models/Message");
 const User = require("../models/User");
-const Redis = require("redis");
+const Conversation = require("../models/Conversation");
+const ContactRequest = require("../models/ContactRequest");
+const { markDelivered, markSeen } = require("../utils/messageReceipts");
+const { hasId, isBlockedBetween, getHiddenUserIds } = require("../utils/blocking");
+const { requestContact, refreshContacts, notifyContactRequest } = require("../utils/contacts");
+const { groupKey, recordMessage, setUnreadCount, unreadFor } = require("../utils/conversations");
+const storage = require("../config/storage");
+const cache = require("../utils/cache");
 
-const redisClient = Redis.createClient();
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const SENDER_FIELDS = "name username avatar";
+// What the sidebar needs to preview a conversation's latest message
+const PREVIEW_POPULATE = {
+    path: "lastMessage",
+    select: "senderId message attachmentMeta systemMessage deletedForEveryone deletedFor createdAt",
+    populate: { path: "senderId", select: "name" }
+};
+// Compact quoted preview attached to replies
+const REPLY_POPULATE = {
+    path: "replyTo",
+    select: "senderId message attachment deletedForEveryone",
+    populate: { path: "senderId", select: "name" }
+};
+const DELETED_PLACEHOLDER = "This message was deleted";
+// Minutes a sender has to delete for everyone; 0 or unset means no limit
+const DELETE_FOR_EVERYONE_WINDOW = Number(process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES) || 0;
+// Generous enough for ZWJ sequences and skin tones, small enough to rule out text
+const MAX_EMOJI_LENGTH = 16;
+// One pictograph with optional skin tone or emoji presentation, possibly joined to more by ZWJ
+const EMOJI_PATTERN = /^\p{Extended_Pictographic}[\p{Emoji_Modifier}\uFE0F]*(?:\u200D\p{Extended_Pictographic}[\p{Emoji_Modifier}\uFE0F]*)*$/u;
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
 
-redisClient.on('error', (err) => console.error('Redis Client Error', err));
-redisClient.connect();
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
 
-const DEFAULT_EXPIRATION = 3600;
+const CLIENT_MESSAGE_ID_PATTERN = /^[\w-]{1,64}$/;
 
-const invalidateMessageCache = async (userId1, userId2) => {
-    try {
-        const ids = [userId1, userId2].sort();
-        const cacheKey = `messages:${ids[0]}:${ids[1]}`;
-        await redisClient.del(cacheKey);
+const SYNC_PAGE_SIZE = 200;
+// A write stamped just before a sync can commit just after it, so a caught-up cursor
+// trails the clock by this much and the next sync reads that window again
+const SYNC_OVERLAP_MS = 5000;
 
-        await redisClient.del(`users:${userId1}`);
-        await redisClient.del(`users:${userId2}`);
-    } catch (error) {
-        console.error('Cache invalidation error:', error);
-    }
+// One cache namespace per conversation, holding a page per participant,
+// since "delete for me" differs per viewer
+const messageCacheNamespace = (userId1, userId2) => {
+    const ids = [userId1.toString(), userId2.toString()].sort();
+    return `messages:${ids[0]}:${ids[1]}`;
 };
 
-const getUsersForSideBar = async (req, res) => {
+const invalidateMessageCache = (userId1, userId2) => (
+    cache.invalidate(messageCacheNamespace(userId1, userId2))
+);
+
+// Tells each sender that their messages moved on, and drops the now-stale cached pages
+const notifyReceipts = async (receiverId, receipts) => {
+    await Promise.all(receipts.map(async ({ senderId, messageIds, status, at }) => {
+        emitToUser(senderId, "messageStatus", { messageIds, status, at, by: receiverId });
+        await invalidateMessageCache(senderId, receiverId);
+    }));
+};
+
+// Senders whose direct messages never reach the caller: users blocked in either direction,
+// and strangers whose request the caller declined
+const getSilencedSenderIds = async (me) => {
+    const [hiddenIds, declinedIds] = await Promise.all([
+        getHiddenUserIds(me),
+        ContactRequest.distinct("from", { to: me._id, status: "declined" })
+    ]);
+    return [...hiddenIds, ...declinedIds.filter((id) => !hasId(me.contacts, id))];
+};
+
+// The caller's direct chats and groups, most recently active first, each with its latest
+// message and the caller's unread count. Contacts and groups without any messages yet
+// follow at the end so they can still be opened.
+const getConversations = async (req, res) => {
     try {
-        const currentUserId = req.user._id.toString();
-        const cacheKey = `users:${currentUserId}`;
+        const me = req.user;
+        const myId = me._id.toString();
 
-        const cachedUsers = await redisClient.get(cacheKey);
-        let filteredUsers;
+        const [hiddenIds, requesterIds] = await Promise.all([
+            getHiddenUserIds(me),
+            // Strangers who wrote first stay in message requests until accepted
+            ContactRequest.distinct("from", { to: me._id, status: { $ne: "accepted" } })
+        ]);
+        const isHidden = (userId) => hasId(hiddenIds, userId) ||
+            (hasId(requesterIds, userId) && !hasId(me.contacts, userId));
 
-        if (cachedUsers) {
-            filteredUsers = JSON.parse(cachedUsers);
-        } else {
-            filteredUsers = await User.find({
-                _id: { $ne: currentUserId },
-            }).select("-password");
-
-            await redisClient.setEx(
-                cacheKey,
-                DEFAULT_EXPIRATION,
-                JSON.stringify(filteredUsers)
-            );
-        }
-
-        const unseenMessages = {};
-        await Promise.all(
-            filteredUsers.map(async (user) => {
-                const count = await Message.countDocuments({
-                    senderId: user._id,
-                    receiverId: currentUserId,
-                    seen: false,
-                });
-
-                if (count > 0) {
-                    unseenMessages[user._id.toString()] = count;
-                }
-            })
-        );
+        const found = await Conversation.find({
+            $or: [{ participants: me._id }, { group: { $in: me.groupsPresent } }]
+        })
+            .sort({ updatedAt: -1 })
+            .populate([
+                { path: "participants", select: SENDER_FIELDS },
+                { path: "group", select: "name headCount" },
+                PREVIEW_POPULATE
+            ]);
 
-        return res.status(200).json({
-            success: true,
-            users: filteredUsers,
-            unseenMessages,
+        const preview = (message) => {
+            if (!message || hasId(message.deletedFor, myId)) return null;
+            const { deletedFor, ...rest } = message.toJSON();
+            return rest;
+        };
+
+        const conversations = [];
+        found.forEach((conversation) => {
+            const base = {
+                _id: conversation._id,
+                lastMessage: preview(conversation.lastMessage),
+                unread: unreadFor(conversation, myId),
+                updatedAt: conversation.updatedAt
+            };
+
+            if (conversation.group) {
+                conversations.push({ ...base, isGroup: true, group: conversation.group });
+                return;
+            }
+
+            const partner = conversation.participants.find((user) => user._id.toString() !== myId);
+            if (!partner || isHidden(partner._id)) return;
+
+            conversations.push({
+                ...base,
+                isGroup: false,
+                user: { ...partner.toJSON(), isContact: hasId(me.contacts, partner._id) }
+            });
         });
+
+        const listedIds = conversations.map((c) => (c.isGroup ? c.group._id : c.user._id));
+
+        const [idleContacts, idleGroups] = await Promise.all([
+            User.find({ _id: { $in: me.contacts, $nin: [...listedIds, ...hiddenIds] } })
+                .select(SENDER_FIELDS)
+                .sort({ name: 1 }),
+            Group.find({ _id: { $in: me.groupsPresent, $nin: listedIds } })
+                .select("name headCount")
+                .sort({ name: 1 })
+        ]);
+
+        const idle = { lastMessage: null, unread: 0, updatedAt: null };
+        idleGroups.forEach((group) => {
+            conversations.push({ ...idle, isGroup: true, group });
+        });
+        idleContacts.forEach((user) => {
+            conversations.push({ ...idle, isGroup: false, user: { ...user.toJSON(), isContact: true } });
+        });
+
+        return res.status(200).json({ success: true, conversations });
     } catch (error) {
         console.error(error);
         return res.status(500).json({ message: "Internal Server Error" });
     }
 };
 
+// Parses ?before / ?after / ?around (message ids) and ?limit into a page request
+const parsePageQuery = (query) => {
+    const { before, after, around } = query;
+
+    for (const cursor of [before, after, around]) {
+        if (cursor !== undefined && !mongoose.Types.ObjectId.isValid(cursor)) {
+            return { error: "Invalid cursor" };
+        }
+    }
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+        return { error: "Use only one of before, after or around" };
+    }
+
+    const limit = Math.min(
+        Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+        MAX_PAGE_SIZE
+    );
+
+    return { before, after, around, limit };
+};
+
+// ObjectIds grow with creation time, so _id doubles as a stable, tie-free cursor.
+// Pages are always returned oldest-first; hasMore refers to the direction of travel.
+// An ?around page is centred on one message and reports both directions.
+const findMessagePage = async (filter, { before, after, around, limit }, populate = []) => {
+    if (around) {
+        const newerLimit = Math.floor(limit / 2);
+        const [older, newer] = await Promise.all([
+            findMessagePage({ ...filter, _id: { $lte: around } }, { limit: limit - newerLimit }, populate),
+            findMessagePage(filter, { after: around, limit: newerLimit }, populate)
+        ]);
+
+        return {
+            messages: [...older.messages, ...newer.messages],
+            hasMore: older.hasMore,
+            hasNewer: newer.hasMore
+        };
+    }
+
+    const query = { ...filter };
+    if (before) query._id = { $lt: before };
+    if (after) query._id = { $gt: after };
+
+    const docs = await Message.find(query)
+        .select("-deletedFor")
+        .sort({ _id: after ? 1 : -1 })
+        .limit(limit + 1)
+        .populate([...populate, REPLY_POPULATE]);
+
+    const hasMore = docs.length > limit;
+    const messages = docs.slice(0, limit);
+
+    if (!after) messages.reverse();
+
+    return { messages, hasMore };
+};
+
 const getMessages = async (req, res) => {
     try {
         const myId = req.user._id.toString();
         const { id } = req.params;
         const selectedId = id;
 
-        const ids = [myId, selectedId].sort();
-        const cacheKey = `messages:${ids[0]}:${ids[1]}`;
+        const page = parsePageQuery(req.query);
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        const cacheNamespace = messageCacheNamespace(myId, selectedId);
 
-        const cachedMessages = await redisClient.get(cacheKey);
-        let chats;
+        // Opening the conversation reads everything the partner sent us;
+        // this also clears the cached page that still holds them as unseen
+        const receipts = await markSeen(myId, { senderId: selectedId });
+        await notifyReceipts(myId, receipts);
 
-        if (cachedMessages) {
-            chats = JSON.parse(cachedMessages);
+        // Only the newest page is cached; older history is read on demand
+        const isLatestPage = !page.before && !page.after && !page.around && page.limit === DEFAULT_PAGE_SIZE;
 
-            await Message.updateMany(
-                {
-                    senderId: selectedId,
-                    receiverId: myId,
-                    seen: false,
-                },
-                { $set: { seen: true } }
-            );
-
-            await redisClient.del(cacheKey);
-        } else {
-            await Message.updateMany(
-                {
-                    senderId: selectedId,
-                    receiverId: myId,
-                    seen: false,
-                },
-                { $set: { seen: true } }
-            );
-
-            chats = await Message.find({
+        if (isLatestPage) {
+            const cachedPage = await cache.get(cacheNamespace, myId);
+            if (cachedPage) {
+                return res.status(200).json({ success: true, ...cachedPage });
+            }
+        }
+
+        const result = await findMessagePage(
+            {
                 $or: [
                     { senderId: myId, receiverId: selectedId },
                     { senderId: selectedId, receiverId: myId },
                 ],
-            }).sort({ createdAt: 1 });
+                deletedFor: { $ne: myId },
+            },
+            page
+        );
 
-            await redisClient.setEx(
-                cacheKey,
-                DEFAULT_EXPIRATION,
-                JSON.stringify(chats)
-            );
+        if (isLatestPage) {
+            await cache.set(cacheNamespace, myId, result);
         }
 
-        return res.status(200).json(chats);
+        return res.status(200).json({ success: true, ...result });
     } catch (error) {
         console.error(error);
         return res.status(500).json({ message: "Internal Server Error" });
@@ -129,13 +269,10 @@ const getMessages = async (req, res) => {
 
 const markMessageAsSeen = async (req, res) => {
     try {
+        const myId = req.user._id.toString();
         const { id } = req.params;
 
-        const message = await Message.findByIdAndUpdate(
-            id,
-            { seen: true },
-            { new: true }
-        );
+        const message = await Message.findById(id).select("receiverId");
 
         if (!message) {
             return res.status(404).json({
@@ -144,10 +281,16 @@ const markMessageAsSeen = async (req, res) => {
             });
         }
 
-        await invalidateMessageCache(
-            message.senderId.toString(),
-            message.receiverId.toString()
-        );
+        // Only the receiver can read a message
+        if (message.receiverId?.toString() !== myId) {
+            return res.status(403).json({
+                success: false,
+                message: "Only the receiver can mark this message as seen"
+            });
+        }
+
+        const receipts = await markSeen(myId, { _id: message._id });
+        await notifyReceipts(myId, receipts);
 
         res.status(200).json({ success: true });
     } catch (error) {
@@ -156,6 +299,226 @@ const markMessageAsSeen = async (req, res) => {
     }
 };
 
+// Called by the receiver's client when messages reach a connected device:
+// with messageIds for live messages, without them to flush everything pending on reconnect
+const markMessagesDelivered = async (req, res) => {
+    try {
+        const myId = req.user._id.toString();
+        const { messageIds } = req.body;
+
+        // Delivered ticks would tell silenced senders they were declined or blocked
+        const filter = { senderId: { $nin: await getSilencedSenderIds(req.user) } };
+        if (Array.isArray(messageIds)) {
+            filter._id = { $in: messageIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) };
+        }
+
+        const receipts = await markDelivered(myId, filter);
+        await notifyReceipts(myId, receipts);
+
+        return res.status(200).json({ success: true });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+// Sync cursors are "<ms>" or "<ms>:<messageId>", positions in (updatedAt, _id) order
+const parseSyncCursor = (cursor) => {
+    const [ms, id] = String(cursor).split(":");
+    const time = new Date(Number(ms));
+
+    if (!ms || Number.isNaN(time.getTime()) || (id && !mongoose.Types.ObjectId.isValid(id))) {
+        return null;
+    }
+    return { time, id };
+};
+
+// Everything in the caller's conversations that was created or changed since ?since=<cursor>:
+// `messages` are new or updated (edits, reactions, receipts, deleted-for-everyone tombstones),
+// `removed` the ids the caller deleted for themselves. Without ?since it only hands out a
+// cursor for "now". While hasMore is set the client asks again with the returned cursor.
+const syncMessages = async (req, res) => {
+    try {
+        const me = req.user;
+        const myId = me._id;
+        const caughtUpCursor = () => String(Date.now() - SYNC_OVERLAP_MS);
+
+        if (req.query.since === undefined) {
+            return res.status(200).json({
+                success: true,
+                messages: [],
+                removed: [],
+                cursor: caughtUpCursor(),
+                hasMore: false
+            });
+        }
+
+        const since = parseSyncCursor(req.query.since);
+        if (!since) {
+            return res.status(400).json({ success: false, message: "Invalid cursor" });
+        }
+
+        // They don't reach the caller live either
+        const silencedIds = await getSilencedSenderIds(me);
+
+        const changedSince = since.id
+            ? { $or: [{ updatedAt: { $gt: since.time } }, { updatedAt: since.time, _id: { $gt: since.id } }] }
+            : { updatedAt: { $gte: since.time } };
+
+        const docs = await Message.find({
+            $and: [
+                changedSince,
+                {
+                    $or: [
+                        { senderId: myId, receiverId: { $ne: null } },
+                        { receiverId: myId, senderId: { $nin: silencedIds } },
+                        { groupId: { $in: me.groupsPresent } }
+                    ]
+                }
+            ]
+        })
+            .sort({ updatedAt: 1, _id: 1 })
+            .limit(SYNC_PAGE_SIZE + 1)
+            .populate(REPLY_POPULATE);
+
+        const hasMore = docs.length > SYNC_PAGE_SIZE;
+        const page = docs.slice(0, SYNC_PAGE_SIZE);
+
+        // Group messages carry their sender, as they do on the socket
+        await Message.populate(page.filter((message) => message.groupId), { path: "senderId", select: SENDER_FIELDS });
+
+        const messages = [];
+        const removed = [];
+        page.forEach((message) => {
+            const { deletedFor, ...data } = message.toJSON();
+            if (hasId(deletedFor, myId)) {
+                removed.push(message._id);
+            } else {
+                messages.push(data);
+            }
+        });
+
+        const last = page[page.length - 1];
+        const cursor = hasMore ? `${last.updatedAt.getTime()}:${last._id}` : caughtUpCursor();
+
+        return res.status(200).json({ success: true, messages, removed, cursor, hasMore });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+// Checks that a quoted message exists and belongs to the conversation the reply goes to.
+// Returns its id (or null when not replying), or an error message.
+const resolveReplyTo = async (replyTo, conversationFilter) => {
+    if (!replyTo) return { replyTo: null };
+
+    if (!mongoose.Types.ObjectId.isValid(replyTo)) {
+        return { error: "Invalid replyTo" };
+    }
+
+    const quoted = await Message.findOne({ _id: replyTo, ...conversationFilter })
+        .select("deletedForEveryone systemMessage");
+
+    if (!quoted) {
+        return { error: "Quoted message is not part of this conversation" };
+    }
+
+    if (quoted.deletedForEveryone || quoted.systemMessage) {
+        return { error: "This message cannot be quoted" };
+    }
+
+    return { replyTo: quoted._id };
+};
+
+// Sends may carry a clientMessageId that makes retrying them safe. Resolves to the
+// message an earlier attempt already stored, null if there is none, or an error.
+// `target` is the { receiverId } or { groupId } the send is addressed to.
+const findPriorSend = async (senderId, clientMessageId, target) => {
+    if (clientMessageId === undefined) return null;
+
+    if (typeof clientMessageId !== "string" || !CLIENT_MESSAGE_ID_PATTERN.test(clientMessageId)) {
+        return { error: "Invalid clientMessageId" };
+    }
+
+    const prior = await Message.findOne({ senderId, clientMessageId });
+    if (!prior) return null;
+
+    // Ids are unique per sender, so one reused for another conversation is not a retry
+    const sameTarget = target.groupId
+        ? prior.groupId?.toString() === target.groupId.toString()
+        : !prior.groupId && prior.receiverId?.toString() === target.receiverId.toString();
+
+    return sameTarget ? prior : { error: "clientMessageId was already used for another message" };
+};
+
+// Resolves to true for the one attempt of a send that gets to fan it out
+const claimFanOut = async (message) => {
+    const claimed = await Message.updateOne(
+        { _id: message._id, fanOutPending: true },
+        { $unset: { fanOutPending: 1 } },
+        { timestamps: false }
+    );
+    message.fanOutPending = undefined;
+    return claimed.modifiedCount === 1;
+};
+
+// Updates the conversation and tells the recipients about a newly saved send, unless
+// another attempt of the same send is already doing that
+const fanOutSend = async (message, fanOut) => {
+    if (message.fanOutPending && !(await claimFanOut(message))) return;
+    await fanOut(message);
+};
+
+// Saves a new message; resolves to false when a concurrent attempt of the same send
+// stored it first, in which case the caller answers with that one instead
+const saveOnce = async (message) => {
+    try {
+        await message.save();
+        return true;
+    } catch (error) {
+        if (error.code === 11000 && message.clientMessageId) return false;
+        throw error;
+    }
+};
+
+// Answers a retried send with what its first attempt stored, as if it had just been sent.
+// If that attempt failed between saving and fanning out, the retry does the fan-out.
+const respondWithPriorSend = async (res, prior, populate, fanOut) => {
+    if (prior.error) {
+        return res.status(400).json({ success: false, message: prior.error });
+    }
+
+    await prior.populate(populate);
+    if (prior.fanOutPending && await claimFanOut(prior)) {
+        await fanOut(prior);
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'Message Sent Successfully',
+        data: prior
+    });
+};
+
+// A message to a stranger opens a contact request and waits in their message requests.
+// Once they declined, messages are still stored but no longer reach them.
+const deliverDirectMessage = async (sender, receiverId, message) => {
+    await recordMessage(message, [receiverId]);
+    const contactStatus = await requestContact(sender, receiverId);
+
+    if (contactStatus !== "declined") {
+        emitToUser(receiverId, "newMessage", message);
+    }
+    emitToUser(sender._id, "newMessage", message);
+
+    if (contactStatus === "requested") {
+        notifyContactRequest(sender, receiverId, true);
+    } else if (contactStatus === "accepted") {
+        await refreshContacts(sender._id, receiverId);
+    }
+};
+
 const sendMessage = async (req, res) => {
     try {
         const myId = req.user._id.toString();
@@ -174,25 +537,55 @@ const sendMessage = async (req, res) => {
             });
         }
 
+        if (await isBlockedBetween(req.user, otherId)) {
+            return res.status(403).json({
+                success: false,
+                message: "You can't message this user"
+            });
+        }
+
+        const fanOut = async (message) => {
+            // Invalidate cache after sending message
+            await invalidateMessageCache(myId, otherId);
+
+            // Reach every device of the receiver, and the sender's other devices
+            await deliverDirectMessage(req.user, otherId, message);
+        };
+
+        // A retry of a send that already went through gets the stored message back
+        const prior = await findPriorSend(myId, req.body.clientMessageId, { receiverId: otherId });
+
+        if (prior) {
+            return respondWithPriorSend(res, prior, REPLY_POPULATE, fanOut);
+        }
+
+        const reply = await resolveReplyTo(req.body.replyTo, {
+            $or: [
+                { senderId: myId, receiverId: otherId },
+                { senderId: otherId, receiverId: myId },
+            ],
+        });
+
+        if (reply.error) {
+            return res.status(400).json({ success: false, message: reply.error });
+        }
+
         // Create and save new message
         const newMessage = new Message({
             senderId: myId,
             receiverId: otherId,
-            message: messageSent
+            message: messageSent,
+            replyTo: reply.replyTo,
+            clientMessageId: req.body.clientMessageId,
+            fanOutPending: req.body.clientMessageId ? true : undefined
         });
 
-        await newMessage.save();
-
-        // Invalidate cache after sending message
-        await invalidateMessageCache(myId, otherId);
-
-        // FIXED: Changed receiverId to otherId (correct variable name)
-        const receiverSocketId = userSocketMap[otherId];
-        if (receiverSocketId) {
-            // FIXED: Event name should not have space: "newMessage" not "new Message"
-            // FIXED: Send the complete message object, not just the text
-            io.to(receiverSocketId).emit("newMessage", newMessage);
+        if (!(await saveOnce(newMessage))) {
+            const raced = await findPriorSend(myId, newMessage.clientMessageId, { receiverId: otherId });
+            return respondWithPriorSend(res, raced, REPLY_POPULATE, fanOut);
         }
+        await newMessage.populate(REPLY_POPULATE);
+        await fanOutSend(newMessage, fanOut);
 
         console.log('Message Sent');
         return res.status(200).json({
@@ -210,16 +603,35 @@ const sendMessage = async (req, res) => {
     }
 };
 
+const buildAttachmentMessage = async (req, target) => {
+    const ref = await storage.save(req.file.buffer, {
+        folder: "attachments",
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype
+    });
+
+    return new Message({
+        senderId: req.user._id,
+        ...target,
+        message: req.body.caption?.trim() || undefined,
+        attachment: ref,
+        attachmentMeta: {
+            fileName: req.file.originalname,
+            size: req.file.size,
+            mimeType: req.file.mimetype
+        }
+    });
+};
+
 const sendAttachment = async (req, res) => {
     try {
         const myId = req.user._id.toString();
-        const { otherId, attachmentSent } = req.body; // FIXED: Changed to camelCase
+        const { id: otherId } = req.params;
 
         // Validate receiver exists
-        const validReceiver = await User.findById(otherId);
+        const validReceiver = mongoose.Types.ObjectId.isValid(otherId) && await User.findById(otherId);
 
-        // FIXED: Check for attachmentSent (camelCase)
-        if (!otherId || !attachmentSent || !validReceiver) {
+        if (!validReceiver || !req.file) {
             console.log('Error cant send attachment: No user or No Attachment');
             return res.status(400).json({
                 success: false,
@@ -227,23 +639,33 @@ const sendAttachment = async (req, res) => {
             });
         }
 
-        // Create and save new message with attachment
-        const newMessage = new Message({
-            senderId: myId,
-            receiverId: otherId,
-            attachment: attachmentSent
+        if (await isBlockedBetween(req.user, otherId)) {
+            return res.status(403).json({
+                success: false,
+                message: "You can't message this user"
+            });
+        }
+
+        const reply = await resolveReplyTo(req.body.replyTo, {
+            $or: [
+                { senderId: myId, receiverId: otherId },
+                { senderId: otherId, receiverId: myId },
+            ],
         });
 
+        if (reply.error) {
+            return res.status(400).json({ success: false, message: reply.error });
+        }
+
+        const newMessage = await buildAttachmentMessage(req, { receiverId: otherId, replyTo: reply.replyTo });
+
         await newMessage.save();
+        await newMessage.populate(REPLY_POPULATE);
 
         // Invalidate cache after sending message
         await invalidateMessageCache(myId, otherId);
 
-        // ADDED: Real-time notification for attachment
-        const receiverSocketId = userSocketMap[otherId];
-        if (receiverSocketId) {
-            io.to(receiverSocketId).emit("newMessage", newMessage);
-        }
+        await deliverDirectMessage(req.user, otherId, newMessage);
 
         console.log('Attachment Sent');
         return res.status(200).json({
@@ -261,10 +683,515 @@ const sendAttachment = async (req, res) => {
     }
 };
 
+const sendGroupAttachment = async (req, res) => {
+    try {
+        const myId = req.user._id.toString();
+        const { id } = req.params;
+
+        const group = mongoose.Types.ObjectId.isValid(id) && await Group.findOne({ _id: id, members: myId });
+
+        if (!group || !req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cant Send Attachment: Group / Attachment Missing'
+            });
+        }
+
+        const reply = await resolveReplyTo(req.body.replyTo, { groupId: group._id });
+
+        if (reply.error) {
+            return res.status(400).json({ success: false, message: reply.error });
+        }
+
+        const newMessage = await buildAttachmentMessage(req, { groupId: group._id, replyTo: reply.replyTo });
+
+        await newMessage.save();
+        await newMessage.populate([{ path: "senderId", select: SENDER_FIELDS }, REPLY_POPULATE]);
+        await recordMessage(newMessage, group.members);
+
+        io.to(groupRoom(group._id)).emit("newMessage", newMessage);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Attachment Sent Successfully',
+            data: newMessage
+        });
+
+    } catch (error) {
+        console.error('Error sending group attachment:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal Server Error'
+        });
+    }
+};
+
+// Group history is stored once per group and carries the sender's profile,
+// since the client cannot infer the author from the conversation like in a DM
+const getGroupMessages = async (req, res) => {
+    try {
+        const myId = req.user._id.toString();
+        const { id } = req.params;
+
+        const page = parsePageQuery(req.query);
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        const group = await Group.findOne({ _id: id, members: myId });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: "Group not found"
+            });
+        }
+
+        const result = await findMessagePage(
+            { groupId: group._id, deletedFor: { $ne: myId } },
+            page,
+            [{ path: "senderId", select: SENDER_FIELDS }]
+        );
+
+        // Group messages have no per-reader receipts, so opening the group reads all of it
+        await setUnreadCount(groupKey(group._id), myId, 0);
+
+        return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+// Called while a group is open, as new messages arrive in it
+const markGroupRead = async (req, res) => {
+    try {
+        const myId = req.user._id.toString();
+        const { id } = req.params;
+
+        const group = mongoose.Types.ObjectId.isValid(id) && await Group.exists({ _id: id, members: myId });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: "Group not found"
+            });
+        }
+
+        await setUnreadCount(groupKey(id), myId, 0);
+
+        return res.status(200).json({ success: true });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+const sendGroupMessage = async (req, res) => {
+    try {
+        const myId = req.user._id.toString();
+        const { id } = req.params;
+        const { message: messageSent } = req.body;
+
+        const group = await Group.findOne({ _id: id, members: myId });
+
+        if (!group || !messageSent) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cant Send Message: Group / Message Missing'
+            });
+        }
+
+        const populate = [{ path: "senderId", select: SENDER_FIELDS }, REPLY_POPULATE];
+        const fanOut = async (message) => {
+            await recordMessage(message, group.members);
+
+            // Every online member joined the group room on connect
+            io.to(groupRoom(group._id)).emit("newMessage", message);
+        };
+
+        const prior = await findPriorSend(myId, req.body.clientMessageId, { groupId: group._id });
+
+        if (prior) {
+            return respondWithPriorSend(res, prior, populate, fanOut);
+        }
+
+        const reply = await resolveReplyTo(req.body.replyTo, { groupId: group._id });
+
+        if (reply.error) {
+            return res.status(400).json({ success: false, message: reply.error });
+        }
+
+        const newMessage = new Message({
+            senderId: myId,
+            groupId: group._id,
+            message: messageSent,
+            replyTo: reply.replyTo,
+            clientMessageId: req.body.clientMessageId,
+            fanOutPending: req.body.clientMessageId ? true : undefined
+        });
+
+        if (!(await saveOnce(newMessage))) {
+            const raced = await findPriorSend(myId, newMessage.clientMessageId, { groupId: group._id });
+            return respondWithPriorSend(res, raced, populate, fanOut);
+        }
+        await newMessage.populate(populate);
+        await fanOutSend(newMessage, fanOut);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Message Sent Successfully',
+            data: newMessage
+        });
+
+    } catch (error) {
+        console.error('Error sending group message:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal Server Error'
+        });
+    }
+};
+
+// Pushes an update to everyone who can see the message: both sides of a DM or the group room
+const emitToConversation = (message, event, payload) => {
+    if (message.groupId) {
+        io.to(groupRoom(message.groupId)).emit(event, payload);
+    } else {
+        emitToUser(message.senderId, event, payload);
+        emitToUser(message.receiverId, event, payload);
+    }
+};
+
+const canSeeMessage = async (message, userId) => {
+    if (message.groupId) {
+        return Boolean(await Group.exists({ _id: message.groupId, members: userId }));
+    }
+    return [message.senderId, message.receiverId].some((id) => id?.toString() === userId);
+};
+
+const editMessage = async (req, res) => {
+    try {
+        const myId = req.user._id.toString();
+        const { id } = req.params;
+        const text = req.body.message?.trim();
+
+        if (!text) {
+            return res.status(400).json({ success: false, message: "Message is required" });
+        }
+
+        const message = mongoose.Types.ObjectId.isValid(id) ? await Message.findById(id) : null;
+
+        if (!message) {
+            return res.status(404).json({ success: false, message: "Message not found" });
+        }
+
+        if (message.senderId.toString() !== myId) {
+            return res.status(403).json({ success: false, message: "You can only edit your own messages" });
+        }
+
+        if (message.systemMessage || message.deletedForEveryone) {
+            return res.status(400).json({ success: false, message: "This message cannot be edited" });
+        }
+
+        if (message.message !== text) {
+            const editedAt = new Date();
+            message.edits.push({ message: message.message, editedAt });
+            message.message = text;
+            message.editedAt = editedAt;
+            await message.save();
+
+            await message.populate(REPLY_POPULATE);
+
+            if (message.groupId) {
+                await message.populate("senderId", SENDER_FIELDS);
+            } else {
+                await invalidateMessageCache(myId, message.receiverId.toString());
+            }
+
+            const { deletedFor, ...data } = message.toJSON();
+            emitToConversation(message, "messageEdited", data);
+        }
+
+        return res.status(200).json({ success: true, message: "Message edited", data: message });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+// ?scope=me hides the message for the caller only; ?scope=everyone (sender only)
+// swaps its content for a tombstone, optionally within DELETE_FOR_EVERYONE_WINDOW
+const deleteMessage = async (req, res) => {
+    try {
+        const myId = req.user._id.toString();
+        const { id } = req.params;
+        const scope = req.query.scope || "me";
+
+        if (!["me", "everyone"].includes(scope)) {
+            return res.status(400).json({ success: false, message: "Scope must be 'me' or 'everyone'" });
+        }
+
+        const message = mongoose.Types.ObjectId.isValid(id) ? await Message.findById(id) : null;
+
+        if (!message || !(await canSeeMessage(message, myId))) {
+            return res.status(404).json({ success: false, message: "Message not found" });
+        }
+
+        if (scope === "me") {
+            await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: myId } });
+
+            if (!message.groupId) {
+                await invalidateMessageCache(message.senderId.toString(), message.receiverId.toString());
+            }
+
+            // Only the caller's own devices drop it
+            emitToUser(myId, "messageDeleted", { messageId: message._id, scope });
+
+            return res.status(200).json({ success: true, message: "Message deleted for you" });
+        }
+
+        if (message.senderId.toString() !== myId || message.systemMessage) {
+            return res.status(403).json({ success: false, message: "Only the sender can delete this message for everyone" });
+        }
+
+        if (DELETE_FOR_EVERYONE_WINDOW > 0 &&
+            Date.now() - message.createdAt.getTime() > DELETE_FOR_EVERYONE_WINDOW * 60 * 1000) {
+            return res.status(400).json({ success: false, message: "Too late to delete this message for everyone" });
+        }
+
+        if (!message.deletedForEveryone) {
+            message.deletedForEveryone = true;
+            message.deletedAt = new Date();
+            message.message = DELETED_PLACEHOLDER;
+            message.attachment = undefined;
+            message.attachmentMeta = undefined;
+            message.edits = [];
+            message.editedAt = null;
+            await message.save();
+
+            if (!message.groupId) {
+                await invalidateMessageCache(myId, message.receiverId.toString());
+            }
+
+            emitToConversation(message, "messageDeleted", {
+                messageId: message._id,
+                scope,
+                message: DELETED_PLACEHOLDER,
+                deletedAt: message.deletedAt
+            });
+        }
+
+        return res.status(200).json({ success: true, message: "Message deleted for everyone" });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+// Exactly one emoji: a single grapheme that is a pictograph from start to end
+const isSingleEmoji = (emoji) => {
+    if (typeof emoji !== "string" || emoji.length > MAX_EMOJI_LENGTH) return false;
+
+    const segments = [...graphemes.segment(emoji)];
+    return segments.length === 1 && EMOJI_PATTERN.test(emoji);
+};
+
+const toggleReaction = async (req, res) => {
+    try {
+        const myId = req.user._id.toString();
+        const { id } = req.params;
+        const { emoji } = req.body;
+
+        if (!isSingleEmoji(emoji)) {
+            return res.status(400).json({ success: false, message: "A single emoji is required" });
+        }
+
+        const found = mongoose.Types.ObjectId.isValid(id) ? await Message.findById(id) : null;
+
+        if (!found || !(await canSeeMessage(found, myId))) {
+            return res.status(404).json({ success: false, message: "Message not found" });
+        }
+
+        if (found.systemMessage || found.deletedForEveryone) {
+            return res.status(400).json({ success: false, message: "You cannot react to this message" });
+        }
+
+        // Toggled in a single update, so reactions from others arriving at the same time are
+        // kept: our old reaction is dropped, and the new one added unless it was the same emoji
+        const mine = { $filter: { input: "$reactions", cond: { $eq: ["$$this.userId", req.user._id] } } };
+        const others = { $filter: { input: "$reactions", cond: { $ne: ["$$this.userId", req.user._id] } } };
+        const sameEmoji = { $in: [{ $literal: emoji }, { $map: { input: mine, in: "$$this.emoji" } }] };
+
+        const message = await Message.findOneAndUpdate(
+            { _id: found._id, deletedForEveryone: { $ne: true } },
+            [{
+                $set: {
+                    reactions: {
+                        $cond: [
+                            sameEmoji,
+                            others,
+                            { $concatArrays: [others, [{ userId: req.user._id, emoji: { $literal: emoji } }]] }
+                        ]
+                    }
+                }
+            }],
+            { new: true, updatePipeline: true }
+        );
+
+        // Deleted for everyone in the meantime
+        if (!message) {
+            return res.status(400).json({ success: false, message: "You cannot react to this message" });
+        }
+
+        if (!message.groupId) {
+            await invalidateMessageCache(message.senderId.toString(), message.receiverId.toString());
+        }
+
+        const payload = { messageId: message._id, reactions: message.reactions, updatedAt: message.updatedAt };
+        emitToConversation(message, "messageReaction", payload);
+
+        return res.status(200).json({ success: true, ...payload });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
+// Cuts a window of text around the first search hit and returns the
+// positions of every hit inside it, so the client can highlight them safely
+const buildSnippet = (text, terms) => {
+    if (!text) return { text: "", highlights: [] };
+
+    // Terms are plain letters and digits, so they are safe inside the pattern.
+    // Text search matches on word stems, so highlight whole words starting with a term.
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join("|")})[\\p{L}\\p{N}]*`, "giu");
+    const matches = terms.length > 0 ? [...text.matchAll(pattern)] : [];
+
+    const firstHit = matches[0]?.index ?? 0;
+    const start = Math.max(0, firstHit - SNIPPET_RADIUS);
+    const end = Math.min(text.length, firstHit + SNIPPET_RADIUS * 2);
+    const prefix = start > 0 ? "…" : "";
+
+    const highlights = matches
+        .filter((match) => match.index >= start && match.index + match[0].length <= end)
+        .map((match) => ({
+            start: match.index - start + prefix.length,
+            end: match.index + match[0].length - start + prefix.length
+        }));
+
+    return {
+        text: `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`,
+        highlights
+    };
+};
+
+// ?q= full-text query, plus optional ?partner= (user or group id), ?from= / ?to= dates,
+// ?hasAttachment=true and ?page= / ?limit=. Only conversations the caller is part of are searched.
+const searchMessages = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        // A repeated ?q= arrives as an array
+        const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+        if (!q) {
+            return res.status(400).json({ success: false, message: "Search query is required" });
+        }
+
+        const { partner, from, to, hasAttachment } = req.query;
+
+        if (partner && !mongoose.Types.ObjectId.isValid(partner)) {
+            return res.status(400).json({ success: false, message: "Invalid partner" });
+        }
+
+        const createdAt = {};
+        for (const [operator, value] of [["$gte", from], ["$lte", to]]) {
+            if (!value) continue;
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                return res.status(400).json({ success: false, message: "Invalid date" });
+            }
+            createdAt[operator] = date;
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(
+            Math.max(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, 1),
+            MAX_SEARCH_LIMIT
+        );
+
+        const groupIds = (await Group.find({ members: myId }).select("_id")).map((group) => group._id);
+
+        let scope;
+        if (partner && groupIds.some((id) => id.toString() === partner)) {
+            scope = [{ groupId: partner }];
+        } else if (partner) {
+            scope = [
+                { senderId: myId, receiverId: partner },
+                { senderId: partner, receiverId: myId }
+            ];
+        } else {
+            scope = [
+                { senderId: myId, receiverId: { $ne: null } },
+                { receiverId: myId },
+                { groupId: { $in: groupIds } }
+            ];
+        }
+
+        const filter = {
+            $text: { $search: q },
+            $or: scope,
+            deletedFor: { $ne: myId },
+            deletedForEveryone: false,
+            systemMessage: false
+        };
+        if (Object.keys(createdAt).length > 0) filter.createdAt = createdAt;
+        if (hasAttachment === "true") filter.attachment = { $ne: null };
+
+        const docs = await Message.find(filter, { score: { $meta: "textScore" } })
+            .select("-deletedFor -edits")
+            .sort({ score: { $meta: "textScore" }, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit + 1)
+            .populate([
+                { path: "senderId", select: SENDER_FIELDS },
+                { path: "receiverId", select: SENDER_FIELDS },
+                { path: "groupId", select: "name" }
+            ]);
+
+        const terms = [...new Set(q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+
+        const results = docs.slice(0, limit).map((message) => ({
+            ...message.toJSON(),
+            snippet: buildSnippet(message.message, terms)
+        }));
+
+        return res.status(200).json({
+            success: true,
+            results,
+            page,
+            hasMore: docs.length > limit
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: "Internal Server Error" });
+    }
+};
+
 module.exports = {
-    getUsersForSideBar,
+    getConversations,
     getMessages,
+    getGroupMessages,
+    markGroupRead,
+    sendGroupMessage,
     markMessageAsSeen,
+    markMessagesDelivered,
+    syncMessages,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    searchMessages,
     sendAttachment,
+    sendGroupAttachment,
     sendMessage
 };
\ No newline at end of file
@@ -1,11 +1,8 @@
+const mongoose = require('mongoose')
 const User = require('../models/User')
-const cloudinary = require('../config/cloudnary')
-const { Readable } = require('stream')
-const Redis = require('redis')
-
-const redisClient = Redis.createClient()
-redisClient.on('error', (err) => console.error('Redis Client Error', err))
-redisClient.connect()
+const Group = require('../models/Group')
+const storage = require('../config/storage')
+const { broadcastPresence, refreshPresence } = require('../config/socket')
 
 const UpDateUser = async (req, res) => {
     try {
@@ -23,26 +20,16 @@ const UpDateUser = async (req, res) => {
         }
 
         if (req.file) {
-            // Upload avatar to Cloudinary
+            // Upload avatar through the configured storage driver
             try {
-                const stream = Readable.from(req.file.buffer)
-                const result = await new Promise((resolve, reject) => {
-                    const uploadStream = cloudinary.uploader.upload_stream(
-                        {
-                            folder: 'ping-me/avatars',
-                            resource_type: 'auto',
-                            public_id: `avatar_${existingUser._id}`
-                        },
-                        (error, result) => {
-                            if (error) reject(error)
-                            else resolve(result)
-                        }
-                    )
-                    stream.pipe(uploadStream)
+                existingUser.avatar = await storage.save(req.file.buffer, {
+                    folder: 'avatars',
+                    fileName: req.file.originalname,
+                    mimeType: req.file.mimetype,
+                    publicId: `avatar_${existingUser._id}`
                 })
-                existingUser.avatar = result.secure_url
             } catch (uploadError) {
-                console.error('Cloudinary upload error:', uploadError)
+                console.error('Avatar upload error:', uploadError)
                 return res.status(400).json({
                     error: 'Failed to upload avatar'
                 })
@@ -51,17 +38,6 @@ const UpDateUser = async (req, res) => {
 
         await existingUser.save()
 
-        // Invalidate Redis cache for all users' user lists
-        // This ensures the updated avatar is fetched fresh
-        try {
-            const allUsers = await User.find()
-            await Promise.all(
-                allUsers.map(user => redisClient.del(`users:${user._id.toString()}`))
-            )
-        } catch (cacheError) {
-            console.warn('Warning: Could not invalidate Redis cache:', cacheError)
-        }
-
         // hide password
         existingUser.password = undefined
 
@@ -83,4 +59,195 @@ const UpDateUser = async (req, res) => {
     }
 }
 
-module.exports = { UpDateUser }
+// Body: status, statusText and statusExpiresAt (null keeps the text until cleared).
+// Fields left out keep their current value.
+const UpdateStatus = async (req, res) => {
+    try {
+        const { status, statusText, statusExpiresAt } = req.body
+        const me = req.user
+
+        if (status !== undefined) {
+            if (!User.schema.path('presenceStatus').enumValues.includes(status)) {
+                return res.status(400).json({
+                    error: 'Invalid status'
+                })
+            }
+            me.presenceStatus = status
+        }
+
+        if (statusText !== undefined) {
+            if (typeof statusText !== 'string' || statusText.trim().length > 100) {
+                return res.status(400).json({
+                    error: 'Status text must be at most 100 characters'
+                })
+            }
+            me.statusText = statusText
+        }
+
+        if (statusExpiresAt !== undefined) {
+            const expiresAt = statusExpiresAt === null ? null : new Date(statusExpiresAt)
+
+            if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+                return res.status(400).json({
+                    error: 'Status expiry must be in the future'
+                })
+            }
+            me.statusExpiresAt = expiresAt
+        }
+
+        await me.save()
+        await broadcastPresence(me._id)
+
+        return res.status(200).json({
+            success: true,
+            message: 'Status updated',
+            presenceStatus: me.presenceStatus,
+            statusText: me.statusText,
+            statusExpiresAt: me.statusExpiresAt
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+const GetBlockedUsers = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .select('blockedUsers')
+            .populate('blockedUsers', 'name username avatar')
+
+        return res.status(200).json({
+            success: true,
+            blockedUsers: user.blockedUsers
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+const BlockUser = async (req, res) => {
+    try {
+        const { id } = req.params
+        const me = req.user
+
+        if (id === me._id.toString()) {
+            return res.status(400).json({
+                error: 'You cannot block yourself'
+            })
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !(await User.exists({ _id: id }))) {
+            return res.status(404).json({
+                error: 'User not found'
+            })
+        }
+
+        const updated = await User.findByIdAndUpdate(
+            me._id,
+            { $addToSet: { blockedUsers: id } },
+            { new: true }
+        ).select('blockedUsers')
+
+        await refreshPresence(me._id, id)
+
+        return res.status(200).json({
+            success: true,
+            message: 'User blocked',
+            blockedUsers: updated.blockedUsers
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+const UnblockUser = async (req, res) => {
+    try {
+        const { id } = req.params
+        const me = req.user
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({
+                error: 'User not found'
+            })
+        }
+
+        const updated = await User.findByIdAndUpdate(
+            me._id,
+            { $pull: { blockedUsers: id } },
+            { new: true }
+        ).select('blockedUsers')
+
+        await refreshPresence(me._id, id)
+
+        return res.status(200).json({
+            success: true,
+            message: 'User unblocked',
+            blockedUsers: updated.blockedUsers
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+// :id is the other user of a direct conversation, or a group the caller belongs to
+const setConversationMuted = (muted) => async (req, res) => {
+    try {
+        const { id } = req.params
+        const me = req.user
+
+        const isConversation = mongoose.Types.ObjectId.isValid(id) && (
+            await User.exists({ _id: id }) ||
+            await Group.exists({ _id: id, members: me._id })
+        )
+
+        if (!isConversation) {
+            return res.status(404).json({
+                error: 'Conversation not found'
+            })
+        }
+
+        const updated = await User.findByIdAndUpdate(
+            me._id,
+            muted
+                ? { $addToSet: { mutedConversations: id } }
+                : { $pull: { mutedConversations: id } },
+            { new: true }
+        ).select('mutedConversations')
+
+        return res.status(200).json({
+            success: true,
+            message: muted ? 'Conversation muted' : 'Conversation unmuted',
+            mutedConversations: updated.mutedConversations
+        })
+    } catch (error) {
+        console.error(error)
+        return res.status(500).json({
+            error: 'Internal Server Error'
+        })
+    }
+}
+
+const MuteConversation = setConversationMuted(true)
+const UnmuteConversation = setConversationMuted(false)
+
+module.exports = {
+    UpDateUser,
+    UpdateStatus,
+    GetBlockedUsers,
+    BlockUser,
+    UnblockUser,
+    MuteConversation,
+    UnmuteConversation
+}
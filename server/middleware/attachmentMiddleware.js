@@ -0,0 +1,70 @@
+const multer = require('multer');
+
+const DEFAULT_ALLOWED_MIMES = [
+    // images
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+    // documents
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain',
+    'application/zip',
+    // audio
+    'audio/mpeg', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/mp4',
+    // video
+    'video/mp4', 'video/webm', 'video/quicktime'
+];
+
+// ATTACHMENT_ALLOWED_MIMES is a comma-separated list that replaces the defaults
+const allowedMimes = process.env.ATTACHMENT_ALLOWED_MIMES
+    ? process.env.ATTACHMENT_ALLOWED_MIMES.split(',').map((mime) => mime.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_MIMES;
+
+const maxSizeMb = Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 25;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (allowedMimes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            const error = new Error('File type not allowed');
+            error.code = 'INVALID_FILE_TYPE';
+            cb(error);
+        }
+    }
+}).single('attachment');
+
+// Wraps multer so rejected uploads answer with a 400 JSON error instead of a 500 page
+const uploadAttachment = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: `File too large. Maximum size is ${maxSizeMb}MB`
+            });
+        }
+
+        if (error.code === 'INVALID_FILE_TYPE') {
+            return res.status(400).json({
+                success: false,
+                message: 'File type not allowed'
+            });
+        }
+
+        console.error('Attachment upload error:', error);
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid upload'
+        });
+    });
+};
+
+module.exports = uploadAttachment;
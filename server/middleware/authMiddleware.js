@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken')
 const User = require('../models/User')
+const Session = require('../models/Session')
 
 const verifyToken = async (req, res, next) => {
     const authHeader = req.headers.authorization
@@ -13,12 +14,17 @@ const verifyToken = async (req, res, next) => {
     try {
         const decoded = jwt.verify(token, process.env.SECRET_KEY)
 
+        if (!(await Session.isActive(decoded.sid))) {
+            return res.status(401).json({ message: 'Session revoked' })
+        }
+
         const user = await User.findById(decoded.id).select('-password')
         if (!user) {
             return res.status(401).json({ message: 'User not found' })
         }
 
         req.user = user
+        req.sessionId = decoded.sid
         next()
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
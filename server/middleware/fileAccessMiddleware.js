@@ -0,0 +1,15 @@
+const { verifySignature } = require('../utils/storage/diskStorage')
+
+// Stored files can only be fetched with a signed URL (what <img> and download links use).
+// Links are handed out only to users who can see the file, so being logged in is not enough.
+const verifyFileAccess = (req, res, next) => {
+    const { folder, file } = req.params
+    const { expires, signature } = req.query
+
+    if (verifySignature(`${folder}/${file}`, expires, signature)) {
+        return next()
+    }
+    return res.status(403).json({ message: 'Invalid or expired file link' })
+}
+
+module.exports = verifyFileAccess
@@ -0,0 +1,30 @@
+const { consume } = require('../utils/rateLimiter')
+
+// Sets the IETF RateLimit-* headers (and Retry-After once blocked) for a consume() result
+const setRateLimitHeaders = (res, result) => {
+    res.set('RateLimit-Limit', String(result.limit))
+    res.set('RateLimit-Remaining', String(result.remaining))
+    res.set('RateLimit-Reset', String(result.resetSec))
+    if (!result.allowed) {
+        res.set('Retry-After', String(result.resetSec))
+    }
+}
+
+// rateLimit('send') limits per user when the route is authenticated, per IP otherwise
+const rateLimit = (policyName) => async (req, res, next) => {
+    const subject = req.user?._id?.toString() || req.ip
+    const result = await consume(policyName, subject)
+
+    setRateLimitHeaders(res, result)
+
+    if (!result.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests, please try again later'
+        })
+    }
+
+    next()
+}
+
+module.exports = { rateLimit, setRateLimitHeaders }
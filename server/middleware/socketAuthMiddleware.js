@@ -0,0 +1,38 @@
+const jwt = require('jsonwebtoken')
+const User = require('../models/User')
+const Session = require('../models/Session')
+
+// Socket.IO counterpart of verifyToken: the client sends the same JWT in the
+// handshake (`auth.token`) and the verified user is bound to the socket
+const verifySocketToken = async (socket, next) => {
+    const token = socket.handshake.auth?.token
+
+    if (!token) {
+        return next(new Error('Unauthorized: No token'))
+    }
+
+    try {
+        const decoded = jwt.verify(token, process.env.SECRET_KEY)
+
+        if (!(await Session.isActive(decoded.sid))) {
+            return next(new Error('Session revoked'))
+        }
+
+        const user = await User.findById(decoded.id).select('-password')
+        if (!user) {
+            return next(new Error('User not found'))
+        }
+
+        socket.user = user
+        socket.userId = user._id.toString()
+        socket.sessionId = decoded.sid
+        next()
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return next(new Error('Token expired'))
+        }
+        return next(new Error('Invalid token'))
+    }
+}
+
+module.exports = verifySocketToken
@@ -0,0 +1,14 @@
+// With REQUIRE_EMAIL_VERIFICATION=true, only users who confirmed their email may send messages
+const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user?.emailVerified) {
+        return next()
+    }
+
+    return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Verify your email address to send messages'
+    })
+}
+
+module.exports = requireVerifiedEmail
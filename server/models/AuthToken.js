@@ -0,0 +1,37 @@
+const mongoose = require('mongoose')
+
+// Single-use tokens mailed to users (email verification, password reset).
+// Only a hash is stored, so a database leak does not expose usable links.
+const AuthTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        purpose: {
+            type: String,
+            enum: ['verify-email', 'reset-password'],
+            required: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        usedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    { timestamps: true }
+)
+
+AuthTokenSchema.index({ userId: 1, purpose: 1 })
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema)
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+
+// A request from one user to become contacts with another. Messaging a stranger
+// opens one implicitly, which is what files those messages under "message requests".
+const ContactRequestSchema = new mongoose.Schema(
+    {
+        from: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        to: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'declined'],
+            default: 'pending'
+        },
+        respondedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    { timestamps: true }
+)
+
+// One request per direction; asking again while one exists only reports its status,
+// so a declined request stays declined
+ContactRequestSchema.index({ from: 1, to: 1 }, { unique: true })
+ContactRequestSchema.index({ to: 1, status: 1 })
+
+module.exports = mongoose.model('ContactRequest', ContactRequestSchema)
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose')
+
+// One row per direct chat or group, kept up to date on every send and read so the
+// sidebar can be listed by recent activity without scanning messages
+const ConversationSchema = new mongoose.Schema(
+    {
+        // "direct:<lowerId>:<higherId>" or "group:<groupId>", so each conversation exists once
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        // Both users of a direct chat; group conversations go by `group` instead,
+        // since membership lives on the group
+        participants: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        ],
+        group: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Group',
+            default: null
+        },
+        lastMessage: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            default: null
+        },
+        // userId -> messages that user has not read yet
+        unreadCounts: {
+            type: Map,
+            of: Number,
+            default: {}
+        }
+    },
+    { timestamps: true }
+)
+
+ConversationSchema.index({ participants: 1, updatedAt: -1 })
+ConversationSchema.index({ group: 1 })
+
+module.exports = mongoose.model('Conversation', ConversationSchema)
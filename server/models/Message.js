@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { resolveUrl } = require('../config/storage')
 
 const MessageSchema = new mongoose.Schema(
     {
@@ -10,26 +11,136 @@ const MessageSchema = new mongoose.Schema(
         receiverId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true
+            required: function () {
+                return !this.groupId
+            }
+        },
+        groupId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Group'
         },
+        // Text, or the optional caption of an attachment
         message: {
             type: String,
-            required: true,
+            required: function () {
+                return !this.attachment
+            },
             trim: true
         },
+        // Storage reference of the uploaded file, turned into a URL by toJSON
         attachment: {
             type: String
         },
+        attachmentMeta: {
+            _id: false,
+            fileName: String,
+            size: Number,
+            mimeType: String
+        },
+        // sent -> delivered -> seen, only ever moves forward (direct messages only).
+        // `seen` is kept alongside for the unread queries that predate it.
+        status: {
+            type: String,
+            enum: ['sent', 'delivered', 'seen'],
+            default: 'sent'
+        },
+        deliveredAt: {
+            type: Date,
+            default: null
+        },
+        seenAt: {
+            type: Date,
+            default: null
+        },
         seen: {
             type: Boolean,
             default: false
         },
+        // Message being quoted; always from the same conversation
+        replyTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            default: null
+        },
         systemMessage: {
             type: Boolean,
             default: false
+        },
+        // One emoji per user; reacting again with the same emoji removes it
+        reactions: [
+            {
+                _id: false,
+                userId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                    required: true
+                },
+                emoji: {
+                    type: String,
+                    required: true
+                }
+            }
+        ],
+        // Previous versions of an edited message, oldest first
+        edits: [
+            {
+                message: String,
+                editedAt: Date
+            }
+        ],
+        editedAt: {
+            type: Date,
+            default: null
+        },
+        // "Delete for me": hidden only for these users
+        deletedFor: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        ],
+        // "Delete for everyone": content is replaced by a tombstone
+        deletedForEveryone: {
+            type: Boolean,
+            default: false
+        },
+        deletedAt: {
+            type: Date,
+            default: null
+        },
+        // Chosen by the sending client; a retried send carries the same id
+        clientMessageId: {
+            type: String
+        },
+        // Set on such sends until their conversation is updated and the recipients are told,
+        // so a retry can finish that if the first attempt failed after saving
+        fanOutPending: {
+            type: Boolean
         }
     },
-    { timestamps: true }
+    {
+        timestamps: true,
+        toJSON: {
+            transform: (doc, ret) => {
+                if (ret.attachment) ret.attachment = resolveUrl(ret.attachment)
+                delete ret.fanOutPending
+                return ret
+            }
+        }
+    }
+)
+
+// Conversation history is paged by _id, newest first
+MessageSchema.index({ senderId: 1, receiverId: 1, _id: -1 })
+MessageSchema.index({ groupId: 1, _id: -1 })
+// Reconnecting clients catch up on everything changed since their sync cursor
+MessageSchema.index({ updatedAt: 1, _id: 1 })
+// A sender's retries of one send can't store it twice
+MessageSchema.index(
+    { senderId: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
 )
+// Full-text search over message text and captions
+MessageSchema.index({ message: 'text' })
 
 module.exports = mongoose.model('Message', MessageSchema)
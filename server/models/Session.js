@@ -0,0 +1,50 @@
+const mongoose = require('mongoose')
+
+// One login on one device. Its refresh token is rotated on every use, so the
+// session is also the token family: reuse of a rotated token revokes all of it.
+const SessionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        // sha256 of the refresh token currently valid for this session
+        tokenHash: {
+            type: String,
+            required: true
+        },
+        // Hashes of tokens already rotated away, most recent last
+        usedTokenHashes: [String],
+        device: String,
+        userAgent: String,
+        ip: String,
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        // 'logout', 'revoked', 'reuse' or 'password-reset'
+        revokedReason: String
+    },
+    { timestamps: true }
+)
+
+// Expired sessions are removed by MongoDB; revoked ones stay until then for reuse detection
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Access tokens carry their session id, so revoking a session cuts them off too
+SessionSchema.statics.isActive = async function (sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false
+    return Boolean(await this.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }))
+}
+
+module.exports = mongoose.model('Session', SessionSchema)
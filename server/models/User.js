@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { resolveUrl } = require('../config/storage')
 
 const UserSchema = new mongoose.Schema(
   {
@@ -37,6 +38,16 @@ const UserSchema = new mongoose.Schema(
       default: true
     },
 
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
+
     groupsPresent: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -47,10 +58,67 @@ const UserSchema = new mongoose.Schema(
     groupCount: {
       type: Number,
       default: 0
+    },
+
+    // Accepted contacts; always recorded on both users
+    contacts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+
+    // Users this user blocked; blocking hides both sides from each other
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+
+    // User or group ids whose conversations do not notify this user
+    mutedConversations: [
+      {
+        type: mongoose.Schema.Types.ObjectId
+      }
+    ],
+
+    // The status the user picked; an idle client turns "online" into "away" on its own,
+    // and "invisible" appears offline to everyone else
+    presenceStatus: {
+      type: String,
+      enum: ['online', 'away', 'dnd', 'invisible'],
+      default: 'online'
+    },
+
+    statusText: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: ''
+    },
+
+    // statusText is hidden once this passes; null keeps it until the user clears it
+    statusExpiresAt: {
+      type: Date,
+      default: null
+    },
+
+    // When the user's last socket disconnected; not updated while invisible
+    lastSeenAt: {
+      type: Date,
+      default: null
     }
   },
   {
-    timestamps: true
+    timestamps: true,
+    // Locally stored avatars are saved as references and served through signed URLs
+    toJSON: {
+      transform: (doc, ret) => {
+        ret.avatar = resolveUrl(ret.avatar)
+        return ret
+      }
+    }
   }
 )
 
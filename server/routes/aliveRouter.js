@@ -1,8 +1,9 @@
 const express = require('express')
-const aLive = require('../controllers/aliveController')
+const { aLive, cacheStats } = require('../controllers/aliveController')
 
 const aliveRouter = express.Router()
 
 aliveRouter.get('/', aLive)
+aliveRouter.get('/cache', cacheStats)
 
 module.exports = aliveRouter
@@ -1,11 +1,21 @@
 const express = require('express')
-const { Login, Register, CheckAuth } = require('../controllers/authController')
+const { Login, Register, CheckAuth, Refresh, Logout, GetSessions, RevokeSession, RevokeAllSessions, VerifyEmail, ResendVerification, ForgotPassword, ResetPassword } = require('../controllers/authController')
 const verifyToken = require('../middleware/authMiddleware')
+const { rateLimit } = require('../middleware/rateLimitMiddleware')
 
 const authRouter = express.Router()
 
-authRouter.post('/login', Login)
-authRouter.post('/register', Register)
+authRouter.post('/login', rateLimit('login'), Login)
+authRouter.post('/register', rateLimit('register'), Register)
 authRouter.get('/check', verifyToken, CheckAuth)
+authRouter.post('/refresh', Refresh)
+authRouter.post('/logout', Logout)
+authRouter.post('/verify-email', VerifyEmail)
+authRouter.post('/resend-verification', verifyToken, rateLimit('email'), ResendVerification)
+authRouter.post('/forgot-password', rateLimit('email'), ForgotPassword)
+authRouter.post('/reset-password', rateLimit('email'), ResetPassword)
+authRouter.get('/sessions', verifyToken, GetSessions)
+authRouter.delete('/sessions', verifyToken, RevokeAllSessions)
+authRouter.delete('/sessions/:id', verifyToken, RevokeSession)
 
-module.exports = authRouter;
\ No newline at end of file
+module.exports = authRouter;
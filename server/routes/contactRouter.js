@@ -0,0 +1,26 @@
+const express = require('express')
+const verifyToken = require('../middleware/authMiddleware')
+const { rateLimit } = require('../middleware/rateLimitMiddleware')
+const {
+    GetContacts,
+    SearchUsers,
+    GetContactRequests,
+    SendContactRequest,
+    AcceptContactRequest,
+    DeclineContactRequest,
+    CancelContactRequest,
+    RemoveContact
+} = require('../controllers/contactController')
+
+const contactRouter = express.Router()
+
+contactRouter.get('/', verifyToken, GetContacts)
+contactRouter.get('/search', verifyToken, rateLimit('lookup'), SearchUsers)
+contactRouter.get('/requests', verifyToken, GetContactRequests)
+contactRouter.post('/requests', verifyToken, SendContactRequest)
+contactRouter.put('/requests/:id/accept', verifyToken, AcceptContactRequest)
+contactRouter.put('/requests/:id/decline', verifyToken, DeclineContactRequest)
+contactRouter.delete('/requests/:id', verifyToken, CancelContactRequest)
+contactRouter.delete('/:id', verifyToken, RemoveContact)
+
+module.exports = contactRouter
@@ -0,0 +1,9 @@
+const express = require('express')
+const { serveFile } = require('../controllers/fileController')
+const verifyFileAccess = require('../middleware/fileAccessMiddleware')
+
+// Serves files written by the local storage driver
+const fileRouter = express.Router()
+fileRouter.get('/:folder/:file', verifyFileAccess, serveFile)
+
+module.exports = fileRouter
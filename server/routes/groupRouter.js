@@ -0,0 +1,29 @@
+const express = require('express')
+const verifyToken = require('../middleware/authMiddleware')
+const {
+    getMyGroups,
+    getGroup,
+    createGroup,
+    renameGroup,
+    addMembers,
+    removeMember,
+    promoteAdmin,
+    demoteAdmin,
+    leaveGroup,
+    deleteGroup
+} = require('../controllers/groupController')
+
+const groupRouter = express.Router();
+
+groupRouter.get('/', verifyToken, getMyGroups)
+groupRouter.post('/create', verifyToken, createGroup)
+groupRouter.get('/:id', verifyToken, getGroup)
+groupRouter.put('/:id/rename', verifyToken, renameGroup)
+groupRouter.put('/:id/add', verifyToken, addMembers)
+groupRouter.put('/:id/remove/:userId', verifyToken, removeMember)
+groupRouter.put('/:id/promote/:userId', verifyToken, promoteAdmin)
+groupRouter.put('/:id/demote/:userId', verifyToken, demoteAdmin)
+groupRouter.put('/:id/leave', verifyToken, leaveGroup)
+groupRouter.delete('/:id', verifyToken, deleteGroup)
+
+module.exports = groupRouter;
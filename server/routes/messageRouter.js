@@ -1,13 +1,26 @@
 const express = require('express')
 const verifyToken = require('../middleware/authMiddleware')
-const { getMessages, getUsersForSideBar, markMessageAsSeen, sendMessage, sendAttachment } = require('../controllers/messageController')
+const uploadAttachment = require('../middleware/attachmentMiddleware')
+const requireVerifiedEmail = require('../middleware/verifiedEmailMiddleware')
+const { rateLimit } = require('../middleware/rateLimitMiddleware')
+const { getMessages, getGroupMessages, markGroupRead, getConversations, markMessageAsSeen, markMessagesDelivered, syncMessages, editMessage, deleteMessage, toggleReaction, sendMessage, sendGroupMessage, sendAttachment, sendGroupAttachment, searchMessages } = require('../controllers/messageController')
 
 const messageRouter = express.Router();
 
-messageRouter.get('/users', verifyToken, getUsersForSideBar)
+messageRouter.get('/conversations', verifyToken, getConversations)
+messageRouter.put('/delivered', verifyToken, markMessagesDelivered)
+messageRouter.get('/sync', verifyToken, syncMessages)
+messageRouter.get('/search', verifyToken, searchMessages)
+messageRouter.get('/group/:id', verifyToken, getGroupMessages)
+messageRouter.put('/group/:id/read', verifyToken, markGroupRead)
 messageRouter.get('/:id', verifyToken, getMessages)
 messageRouter.put("/markSeen/:id", verifyToken, markMessageAsSeen)
-messageRouter.post('/send/text-message/:id', verifyToken, sendMessage)
-messageRouter.post("/send/attachment/:id", verifyToken, sendAttachment)
+messageRouter.patch('/:id', verifyToken, editMessage)
+messageRouter.delete('/:id', verifyToken, deleteMessage)
+messageRouter.put('/:id/react', verifyToken, toggleReaction)
+messageRouter.post('/send/text-message/:id', verifyToken, requireVerifiedEmail, rateLimit('send'), sendMessage)
+messageRouter.post("/send/attachment/:id", verifyToken, requireVerifiedEmail, rateLimit('upload'), uploadAttachment, sendAttachment)
+messageRouter.post('/send/group-message/:id', verifyToken, requireVerifiedEmail, rateLimit('send'), sendGroupMessage)
+messageRouter.post('/send/group-attachment/:id', verifyToken, requireVerifiedEmail, rateLimit('upload'), uploadAttachment, sendGroupAttachment)
 
 module.exports = messageRouter;
\ No newline at end of file
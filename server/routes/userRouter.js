@@ -1,9 +1,15 @@
 const express = require('express')
-const { UpDateUser } = require('../controllers/userController')
+const { UpDateUser, UpdateStatus, GetBlockedUsers, BlockUser, UnblockUser, MuteConversation, UnmuteConversation } = require('../controllers/userController')
 const verifyToken = require('../middleware/authMiddleware')
 const upload = require('../middleware/multerMiddleware')
 
 const userRouter = express.Router()
 userRouter.put('/update-profile', verifyToken, upload.single('avatar'), UpDateUser)
+userRouter.put('/status', verifyToken, UpdateStatus)
+userRouter.get('/blocked', verifyToken, GetBlockedUsers)
+userRouter.put('/block/:id', verifyToken, BlockUser)
+userRouter.put('/unblock/:id', verifyToken, UnblockUser)
+userRouter.put('/mute/:id', verifyToken, MuteConversation)
+userRouter.put('/unmute/:id', verifyToken, UnmuteConversation)
 
-module.exports = userRouter
\ No newline at end of file
+module.exports = userRouter
@@ -0,0 +1,76 @@
+// Builds the Conversation rows for chats that existed before conversations were tracked.
+// Safe to re-run: existing rows are overwritten with what the messages say.
+//
+//   npm run backfill:conversations
+
+const mongoose = require('mongoose')
+const DBConnect = require('../config/db')
+const Message = require('../models/Message')
+const Conversation = require('../models/Conversation')
+const { directKey, groupKey } = require('../utils/conversations')
+
+const backfillDirect = async () => {
+    const pairs = await Message.aggregate([
+        { $match: { groupId: null, receiverId: { $ne: null } } },
+        { $sort: { _id: 1 } },
+        {
+            $group: {
+                _id: {
+                    a: { $min: ['$senderId', '$receiverId'] },
+                    b: { $max: ['$senderId', '$receiverId'] }
+                },
+                lastMessage: { $last: '$_id' },
+                lastAt: { $last: '$createdAt' },
+                // Receiver of every unseen message, null for the seen ones
+                unseen: {
+                    $push: { $cond: [{ $eq: ['$seen', false] }, '$receiverId', null] }
+                }
+            }
+        }
+    ])
+
+    for (const { _id: { a, b }, lastMessage, lastAt, unseen } of pairs) {
+        const unreadCounts = {}
+        unseen.filter(Boolean).forEach((id) => { unreadCounts[id] = (unreadCounts[id] || 0) + 1 })
+
+        await Conversation.updateOne(
+            { key: directKey(a, b) },
+            { $set: { participants: [a, b], lastMessage, unreadCounts, updatedAt: lastAt } },
+            { upsert: true, timestamps: false }
+        )
+    }
+
+    return pairs.length
+}
+
+// Group reads were never tracked, so backfilled groups start with nothing unread
+const backfillGroups = async () => {
+    const groups = await Message.aggregate([
+        { $match: { groupId: { $ne: null } } },
+        { $sort: { _id: 1 } },
+        { $group: { _id: '$groupId', lastMessage: { $last: '$_id' }, lastAt: { $last: '$createdAt' } } }
+    ])
+
+    for (const { _id: groupId, lastMessage, lastAt } of groups) {
+        await Conversation.updateOne(
+            { key: groupKey(groupId) },
+            { $set: { group: groupId, lastMessage, updatedAt: lastAt } },
+            { upsert: true, timestamps: false }
+        )
+    }
+
+    return groups.length
+}
+
+const run = async () => {
+    await DBConnect()
+    const direct = await backfillDirect()
+    const groups = await backfillGroups()
+    console.log(`Backfilled ${direct} direct and ${groups} group conversations`)
+    await mongoose.disconnect()
+}
+
+run().catch((error) => {
+    console.error(error)
+    process.exit(1)
+})
@@ -7,6 +7,9 @@ const DBConnect = require('../config/db')
 const authRouter = require('../routes/authRoutr')
 const userRouter = require('../routes/userRouter')
 const messageRouter = require('../routes/messageRouter')
+const groupRouter = require('../routes/groupRouter')
+const fileRouter = require('../routes/fileRouter')
+const contactRouter = require('../routes/contactRouter')
 const { establishConnection } = require('../config/socket')
 
 
@@ -26,6 +29,9 @@ app.use('/api/status', aliveRouter)
 app.use('/api/auth', authRouter)
 app.use('/api/user', userRouter)
 app.use('/api/message', messageRouter)
+app.use('/api/group', groupRouter)
+app.use('/api/files', fileRouter)
+app.use('/api/contacts', contactRouter)
 
 
 const PORT = process.env.PORT || 1965
@@ -0,0 +1,72 @@
+const crypto = require('crypto')
+const AuthToken = require('../models/AuthToken')
+const mailer = require('../config/mailer')
+
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173'
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Issues a fresh token and invalidates any earlier unused one for the same purpose
+const issueAuthToken = async (userId, purpose, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('base64url')
+
+    await AuthToken.deleteMany({ userId, purpose, usedAt: null })
+    await AuthToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    })
+
+    return token
+}
+
+// Marks the token used and returns it, or null if it is unknown, expired or already used
+const consumeAuthToken = (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null
+
+    return AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    )
+}
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueAuthToken(user._id, 'verify-email', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+    const link = `${clientUrl()}/verify-email?token=${token}`
+
+    await mailer.sendMail({
+        from: mailer.from,
+        to: user.email,
+        subject: 'Verify your PingMe email',
+        text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`
+    })
+}
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueAuthToken(user._id, 'reset-password', PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    const link = `${clientUrl()}/reset-password?token=${token}`
+
+    await mailer.sendMail({
+        from: mailer.from,
+        to: user.email,
+        subject: 'Reset your PingMe password',
+        text: `Hi ${user.name},\n\nSet a new password by opening this link:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Set a new password by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, ignore this email.</p>`
+    })
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+))
+
+module.exports = {
+    consumeAuthToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+}
@@ -0,0 +1,17 @@
+const User = require('../models/User')
+
+const hasId = (list = [], id) => list.some((item) => item.toString() === id.toString())
+
+// Either side blocking the other closes the conversation in both directions
+const isBlockedBetween = async (user, otherId) => {
+    if (hasId(user.blockedUsers, otherId)) return true
+    return Boolean(await User.exists({ _id: otherId, blockedUsers: user._id }))
+}
+
+// Users hidden from `user`: the ones they blocked and the ones who blocked them
+const getHiddenUserIds = async (user) => {
+    const blockers = await User.find({ blockedUsers: user._id }).select('_id')
+    return [...(user.blockedUsers || []), ...blockers.map((blocker) => blocker._id)]
+}
+
+module.exports = { hasId, isBlockedBetween, getHiddenUserIds }
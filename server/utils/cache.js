@@ -0,0 +1,168 @@
+const redisClient = require('../config/redis')
+
+// Cache shared by every controller. Keys live in namespaces, and each namespace carries
+// a version that is part of every key in it, so invalidating a whole namespace is a
+// single INCR instead of a scan. Whenever Redis is unreachable the cache falls back to
+// a small in-process LRU, and any failure simply reads as a miss: callers always fall
+// through to the database, never to an error.
+//
+//   CACHE_ENABLED=false             turn caching off entirely
+//   CACHE_PREFIX=pingme             prefix for every key, to share a Redis instance
+//   CACHE_TTL_SECONDS=3600          default lifetime of an entry
+//   CACHE_MEMORY_MAX_ENTRIES=1000   size of the fallback LRU
+//   CACHE_MEMORY_TTL_SECONDS=60     lifetime cap in the fallback LRU
+//   CACHE_TIMEOUT_MS=250            a slower Redis call counts as a failure
+
+const ENABLED = process.env.CACHE_ENABLED !== 'false'
+const PREFIX = process.env.CACHE_PREFIX || 'pingme'
+const DEFAULT_TTL_SEC = Number(process.env.CACHE_TTL_SECONDS) || 3600
+const MEMORY_MAX_ENTRIES = Number(process.env.CACHE_MEMORY_MAX_ENTRIES) || 1000
+// Other server instances cannot invalidate this process's memory, so entries there stay short-lived
+const MEMORY_TTL_SEC = Number(process.env.CACHE_MEMORY_TTL_SECONDS) || 60
+const REDIS_TIMEOUT_MS = Number(process.env.CACHE_TIMEOUT_MS) || 250
+
+const stats = {
+    redis: { hits: 0, misses: 0 },
+    memory: { hits: 0, misses: 0 },
+    errors: 0,
+    invalidations: 0
+}
+
+// Serialized values, like in Redis. Map keeps insertion order, so re-inserting on
+// read makes the first key the least recently used.
+const memory = new Map()
+
+const memoryGet = (key) => {
+    const entry = memory.get(key)
+    if (!entry) return null
+
+    memory.delete(key)
+    if (entry.expiresAt <= Date.now()) return null
+
+    memory.set(key, entry)
+    return entry.value
+}
+
+const memorySet = (key, value, ttlSec) => {
+    memory.delete(key)
+    memory.set(key, { value, expiresAt: Date.now() + Math.min(ttlSec, MEMORY_TTL_SEC) * 1000 })
+
+    if (memory.size > MEMORY_MAX_ENTRIES) {
+        memory.delete(memory.keys().next().value)
+    }
+}
+
+// Namespace versions held in memory while Redis is down
+const memoryVersions = new Map()
+
+// Set when an invalidation could only reach memory; Redis may then hold stale entries
+let missedInvalidation = false
+// Part of every Redis key; bumped in Redis on reconnect after a missed invalidation,
+// which retires everything cached before the outage, for every instance, in one step
+const EPOCH_KEY = `${PREFIX}:epoch`
+
+const withTimeout = (promise) => {
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Redis cache timeout')), REDIS_TIMEOUT_MS)
+    })
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// Runs a Redis call, or resolves to undefined when Redis is not usable right now
+const tryRedis = async (call) => {
+    if (!redisClient.isReady) return undefined
+
+    try {
+        return await withTimeout(call())
+    } catch (error) {
+        stats.errors++
+        console.warn('Cache: Redis unavailable, falling back to memory:', error.message)
+        return undefined
+    }
+}
+
+redisClient.on('ready', async () => {
+    if (!missedInvalidation) return
+
+    const bumped = await tryRedis(() => redisClient.incr(EPOCH_KEY))
+    if (bumped !== undefined) missedInvalidation = false
+})
+
+const versionKey = (namespace) => `${PREFIX}:version:${namespace}`
+
+// The epoch is read along with the version, so a bump by any instance takes effect everywhere
+const namespaceVersion = async (namespace) => {
+    const versions = await tryRedis(() => redisClient.mGet([EPOCH_KEY, versionKey(namespace)]))
+    if (versions !== undefined) {
+        const [epoch, version] = versions
+        return { version: `${epoch || '0'}:${version || '0'}`, backend: 'redis' }
+    }
+    return { version: `0:${memoryVersions.get(namespace) || '0'}`, backend: 'memory' }
+}
+
+const entryKey = (namespace, version, key) => `${PREFIX}:${namespace}:${version}:${key}`
+
+// Resolves to the cached value, or null on a miss (including when Redis is down)
+const get = async (namespace, key) => {
+    if (!ENABLED) return null
+
+    const { version, backend } = await namespaceVersion(namespace)
+    const fullKey = entryKey(namespace, version, key)
+
+    let raw = null
+    if (backend === 'redis') {
+        raw = await tryRedis(() => redisClient.get(fullKey))
+    }
+    if (backend === 'memory' || raw === undefined) {
+        raw = memoryGet(fullKey)
+        stats.memory[raw === null ? 'misses' : 'hits']++
+    } else {
+        stats.redis[raw === null ? 'misses' : 'hits']++
+    }
+
+    return raw === null ? null : JSON.parse(raw)
+}
+
+const set = async (namespace, key, value, ttlSec = DEFAULT_TTL_SEC) => {
+    if (!ENABLED) return
+
+    const { version, backend } = await namespaceVersion(namespace)
+    const fullKey = entryKey(namespace, version, key)
+
+    if (backend === 'redis') {
+        const stored = await tryRedis(() => redisClient.setEx(fullKey, ttlSec, JSON.stringify(value)))
+        if (stored !== undefined) return
+    }
+
+    memorySet(fullKey, JSON.stringify(value), ttlSec)
+}
+
+// Drops every entry of a namespace at once
+const invalidate = async (namespace) => {
+    if (!ENABLED) return
+    stats.invalidations++
+
+    const next = String(Number(memoryVersions.get(namespace) || 0) + 1)
+    memoryVersions.set(namespace, next)
+
+    const bumped = await tryRedis(() => redisClient.incr(versionKey(namespace)))
+
+    if (bumped === undefined) missedInvalidation = true
+}
+
+const getStats = () => {
+    const lookups = (backend) => stats[backend].hits + stats[backend].misses
+    const hitRate = (backend) => (lookups(backend) ? stats[backend].hits / lookups(backend) : null)
+
+    return {
+        enabled: ENABLED,
+        backend: redisClient.isReady ? 'redis' : 'memory',
+        redis: { ...stats.redis, hitRate: hitRate('redis') },
+        memory: { ...stats.memory, hitRate: hitRate('memory'), entries: memory.size },
+        errors: stats.errors,
+        invalidations: stats.invalidations
+    }
+}
+
+module.exports = { get, set, invalidate, getStats }
@@ -0,0 +1,84 @@
+const ContactRequest = require('../models/ContactRequest')
+const User = require('../models/User')
+const { emitToUser, refreshPresence } = require('../config/socket')
+const { hasId } = require('./blocking')
+
+const areContacts = (user, otherId) => hasId(user.contacts, otherId)
+
+const betweenFilter = (userId, otherId) => ({
+    $or: [
+        { from: userId, to: otherId },
+        { from: otherId, to: userId }
+    ]
+})
+
+// Contacts are mutual, so both users are updated and any open request between them is settled
+const addContacts = async (userId, otherId) => {
+    await Promise.all([
+        User.updateOne({ _id: userId }, { $addToSet: { contacts: otherId } }),
+        User.updateOne({ _id: otherId }, { $addToSet: { contacts: userId } }),
+        ContactRequest.updateMany(
+            { ...betweenFilter(userId, otherId), status: 'pending' },
+            { status: 'accepted', respondedAt: new Date() }
+        )
+    ])
+}
+
+// Old requests are dropped too, so either side can ask again later
+const removeContacts = async (userId, otherId) => {
+    await Promise.all([
+        User.updateOne({ _id: userId }, { $pull: { contacts: otherId } }),
+        User.updateOne({ _id: otherId }, { $pull: { contacts: userId } }),
+        ContactRequest.deleteMany(betweenFilter(userId, otherId))
+    ])
+}
+
+// Moves `from` towards being a contact of `toId`, both for explicit requests and for
+// messages sent to a stranger. Resolves to:
+//   'contact'   they already are contacts
+//   'accepted'  `toId` had asked first, so this completes the contact
+//   'requested' a new request was opened
+//   'pending' / 'declined'  an earlier request is still waiting / was turned down
+const requestContact = async (from, toId) => {
+    if (areContacts(from, toId)) return 'contact'
+
+    if (await ContactRequest.exists({ from: toId, to: from._id, status: 'pending' })) {
+        await addContacts(from._id, toId)
+        return 'accepted'
+    }
+
+    const existing = await ContactRequest.findOne({ from: from._id, to: toId }).select('status')
+    if (existing) return existing.status
+
+    try {
+        await ContactRequest.create({ from: from._id, to: toId })
+    } catch (error) {
+        // A concurrent call opened it first
+        if (error.code === 11000) return 'pending'
+        throw error
+    }
+
+    return 'requested'
+}
+
+// Sidebars, presence and request inboxes of both users follow their relationship
+const refreshContacts = async (userId, otherId) => {
+    emitToUser(userId, 'contactsChanged', { userId: otherId.toString() })
+    emitToUser(otherId, 'contactsChanged', { userId: userId.toString() })
+    await refreshPresence(userId, otherId)
+}
+
+// Tells `toId` about a new request; `viaMessage` when a message to a stranger opened it
+const notifyContactRequest = (from, toId, viaMessage = false) => {
+    const { _id, name, username, avatar } = from.toJSON()
+    emitToUser(toId, 'contactRequest', { from: { _id, name, username, avatar }, viaMessage })
+}
+
+module.exports = {
+    areContacts,
+    addContacts,
+    removeContacts,
+    requestContact,
+    refreshContacts,
+    notifyContactRequest
+}
@@ -0,0 +1,75 @@
+const Conversation = require('../models/Conversation')
+
+const directKey = (userId, otherId) => {
+    const ids = [userId.toString(), otherId.toString()].sort()
+    return `direct:${ids[0]}:${ids[1]}`
+}
+
+const groupKey = (groupId) => `group:${groupId}`
+
+const conversationKey = (message) => (
+    message.groupId
+        ? groupKey(message.groupId._id || message.groupId)
+        : directKey(message.senderId._id || message.senderId, message.receiverId)
+)
+
+// Makes `message` the conversation's latest and counts it as unread for every
+// recipient except the sender, in one upsert. `recipientIds` are the receiver of a
+// direct message or the members of a group.
+const recordMessage = async (message, recipientIds) => {
+    const senderId = (message.senderId._id || message.senderId).toString()
+
+    const unread = {}
+    recipientIds
+        .map((id) => id.toString())
+        .filter((id) => id !== senderId)
+        .forEach((id) => { unread[`unreadCounts.${id}`] = 1 })
+
+    const filter = { key: conversationKey(message) }
+    const update = {
+        $set: { lastMessage: message._id },
+        $setOnInsert: message.groupId
+            ? { group: message.groupId._id || message.groupId }
+            : { participants: [senderId, message.receiverId] }
+    }
+    if (Object.keys(unread).length > 0) update.$inc = unread
+
+    try {
+        await Conversation.updateOne(filter, update, { upsert: true })
+    } catch (error) {
+        // Two first messages raced to create the conversation; the loser just updates it
+        if (error.code !== 11000) throw error
+        await Conversation.updateOne(filter, update)
+    }
+}
+
+// Reading does not count as activity, so neither helper moves the conversation in the list
+const setUnreadCount = async (key, userId, count) => {
+    await Conversation.updateOne(
+        { key },
+        { $set: { [`unreadCounts.${userId}`]: count } },
+        { timestamps: false }
+    )
+}
+
+// Takes `count` read messages off a user's unread counter, never going below zero
+const decrementUnread = async (key, userId, count) => {
+    const field = `unreadCounts.${userId}`
+
+    await Conversation.updateOne(
+        { key },
+        [{ $set: { [field]: { $max: [0, { $subtract: [{ $ifNull: [`$${field}`, 0] }, count] }] } } }],
+        { timestamps: false, updatePipeline: true }
+    )
+}
+
+const unreadFor = (conversation, userId) => conversation?.unreadCounts?.get(userId.toString()) || 0
+
+module.exports = {
+    directKey,
+    groupKey,
+    recordMessage,
+    setUnreadCount,
+    decrementUnread,
+    unreadFor
+}
@@ -3,10 +3,12 @@ const dotenv = require('dotenv')
 
 dotenv.config();
 
-const generateToken = (user) => {
+// Short-lived access token; clients renew it with their session's refresh token
+const generateToken = (user, sessionId) => {
     return jwt.sign(
         {
             id: user._id,
+            sid: sessionId,
             name: user.name,
             email: user.email,
             username: user.username,
@@ -14,7 +16,7 @@ const generateToken = (user) => {
             groupCount: user.groupCount
         },
         process.env.SECRET_KEY,
-        { expiresIn: '1h' }
+        { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
     )
 }
 
@@ -0,0 +1,27 @@
+const fs = require('fs/promises')
+const path = require('path')
+
+// Development transports: nothing leaves the machine, links can be copied from the output
+
+const consoleMailer = {
+    sendMail: async ({ from, to, subject, text }) => {
+        console.log(`\n--- email ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n-------------\n`)
+    }
+}
+
+const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox'))
+
+// One JSON file per message, named so a directory listing sorts by time
+const fileMailer = {
+    sendMail: async (message) => {
+        await fs.mkdir(outboxDir, { recursive: true })
+        const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`
+        await fs.writeFile(
+            path.join(outboxDir, fileName),
+            JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+        )
+        console.log(`Email to ${message.to} written to ${path.join(outboxDir, fileName)}`)
+    }
+}
+
+module.exports = { consoleMailer, fileMailer }
@@ -0,0 +1,14 @@
+const nodemailer = require('nodemailer')
+
+const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+})
+
+const sendMail = (message) => transporter.sendMail(message)
+
+module.exports = { sendMail }
@@ -0,0 +1,82 @@
+const Message = require('../models/Message')
+const { directKey, setUnreadCount, decrementUnread } = require('./conversations')
+
+// Groups the updated messages by sender, one receipt per sender to notify
+const toReceipts = (messages, status, at) => {
+    const bySender = {}
+
+    messages.forEach((message) => {
+        const senderId = message.senderId.toString()
+        if (!bySender[senderId]) bySender[senderId] = []
+        bySender[senderId].push(message._id.toString())
+    })
+
+    return Object.entries(bySender).map(([senderId, messageIds]) => ({
+        senderId,
+        messageIds,
+        status,
+        at
+    }))
+}
+
+// Moves the receiver's undelivered direct messages (optionally narrowed by `filter`) to "delivered"
+const markDelivered = async (receiverId, filter = {}) => {
+    const pending = await Message.find({
+        ...filter,
+        receiverId,
+        seen: false,
+        deliveredAt: null
+    }).select('_id senderId')
+
+    if (pending.length === 0) return []
+
+    const deliveredAt = new Date()
+    await Message.updateMany(
+        { _id: { $in: pending.map((m) => m._id) }, deliveredAt: null },
+        { $set: { status: 'delivered', deliveredAt } }
+    )
+
+    return toReceipts(pending, 'delivered', deliveredAt)
+}
+
+// Moves the receiver's unseen direct messages to "seen", filling in deliveredAt if it was skipped
+const markSeen = async (receiverId, filter = {}) => {
+    const unseen = await Message.find({
+        ...filter,
+        receiverId,
+        seen: false
+    }).select('_id senderId')
+
+    if (unseen.length === 0) return []
+
+    const seenAt = new Date()
+    const ids = unseen.map((m) => m._id)
+
+    await Message.updateMany(
+        { _id: { $in: ids }, deliveredAt: null },
+        { $set: { deliveredAt: seenAt } }
+    )
+    const { modifiedCount } = await Message.updateMany(
+        { _id: { $in: ids }, seen: false },
+        { $set: { status: 'seen', seen: true, seenAt } }
+    )
+
+    const receipts = toReceipts(unseen, 'seen', seenAt)
+
+    // Unread counters drop by what was read. If a concurrent call marked some of these
+    // messages first, recount instead so they are not taken off twice.
+    await Promise.all(receipts.map(async ({ senderId, messageIds }) => {
+        const key = directKey(senderId, receiverId)
+
+        if (modifiedCount === ids.length) {
+            await decrementUnread(key, receiverId, messageIds.length)
+        } else {
+            const unread = await Message.countDocuments({ senderId, receiverId, seen: false })
+            await setUnreadCount(key, receiverId, unread)
+        }
+    }))
+
+    return receipts
+}
+
+module.exports = { markDelivered, markSeen }
@@ -0,0 +1,267 @@
+const os = require('os')
+const crypto = require('crypto')
+const redisClient = require('../config/redis')
+
+// Who is online, shared by every server instance through Redis.
+//
+//   presence:online              SET of online user ids
+//   presence:user:<userId>       SET of "<nodeId>|<socketId>", one per open tab/device
+//   presence:idle:<userId>       the subset of those whose client reported the user idle
+//   presence:node:<nodeId>       SET of "<userId>|<socketId>" held by that instance
+//   presence:nodes               SET of instances that registered sockets
+//   presence:heartbeat:<nodeId>  expires unless the instance keeps refreshing it
+//
+// A user is idle once every one of their sockets is. An instance that crashes stops
+// refreshing its heartbeat; the next sweep of any other instance then removes its
+// sockets. While Redis is down each instance falls back to the sockets it holds itself,
+// and re-registers them once Redis is back. Whenever Redis becomes ready, an instance
+// first sweeps its own entries: with a fixed NODE_ID they may be left over from a
+// previous run, or from sockets that disconnected during the outage.
+
+const PREFIX = 'presence:'
+const HEARTBEAT_SEC = Number(process.env.PRESENCE_HEARTBEAT_SECONDS) || 10
+// Missing this many heartbeats in a row marks an instance as dead
+const HEARTBEAT_TTL_SEC = HEARTBEAT_SEC * 3
+
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`
+
+const keys = {
+    online: `${PREFIX}online`,
+    nodes: `${PREFIX}nodes`,
+    user: (userId) => `${PREFIX}user:${userId}`,
+    idle: (userId) => `${PREFIX}idle:${userId}`,
+    node: (nodeId) => `${PREFIX}node:${nodeId}`,
+    heartbeat: (nodeId) => `${PREFIX}heartbeat:${nodeId}`
+}
+
+// userId -> Map of socket id -> idle, for the sockets connected to this instance
+const localSockets = new Map()
+
+// Removes one socket and takes its user offline if it was their last one, atomically,
+// so a connect on another instance can't slip in between the check and the removal.
+// Returns 1 when the user went offline, 2 when only idle sockets are left.
+const REMOVE_SOCKET_SCRIPT = `
+local wasIdle = redis.call('SREM', KEYS[4], ARGV[1])
+redis.call('SREM', KEYS[1], ARGV[1])
+redis.call('SREM', KEYS[2], ARGV[2])
+local left = redis.call('SCARD', KEYS[1])
+if left == 0 then
+    redis.call('SREM', KEYS[3], ARGV[3])
+    redis.call('DEL', KEYS[4])
+    return 1
+end
+if wasIdle == 0 and redis.call('SCARD', KEYS[4]) >= left then
+    return 2
+end
+return 0`
+
+// Marks one socket idle (ARGV[2] = '1') or active. Returns 1 when that changed
+// whether the user as a whole is idle.
+const SET_IDLE_SCRIPT = `
+local function idle()
+    local sockets = redis.call('SCARD', KEYS[1])
+    return sockets > 0 and redis.call('SCARD', KEYS[2]) >= sockets
+end
+local before = idle()
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 0 then
+    return 0
+end
+if ARGV[2] == '1' then
+    redis.call('SADD', KEYS[2], ARGV[1])
+else
+    redis.call('SREM', KEYS[2], ARGV[1])
+end
+if idle() ~= before then
+    return 1
+end
+return 0`
+
+// Drops every socket of a dead instance and returns the users that went offline with it.
+// User keys are derived inside the script, which is fine on a single Redis (not Cluster).
+const SWEEP_NODE_SCRIPT = `
+local offline = {}
+for _, entry in ipairs(redis.call('SMEMBERS', KEYS[1])) do
+    local sep = string.find(entry, '|', 1, true)
+    local userId = string.sub(entry, 1, sep - 1)
+    local userKey = ARGV[2] .. 'user:' .. userId
+    local idleKey = ARGV[2] .. 'idle:' .. userId
+    local socket = ARGV[1] .. '|' .. string.sub(entry, sep + 1)
+    redis.call('SREM', userKey, socket)
+    redis.call('SREM', idleKey, socket)
+    if redis.call('SCARD', userKey) == 0 then
+        redis.call('SREM', KEYS[3], userId)
+        redis.call('DEL', idleKey)
+        table.insert(offline, userId)
+    end
+end
+redis.call('DEL', KEYS[1])
+redis.call('SREM', KEYS[2], ARGV[1])
+return offline`
+
+// Runs a Redis call, or resolves to undefined when Redis is not usable right now
+const tryRedis = async (call) => {
+    if (!redisClient.isReady) return undefined
+
+    try {
+        return await call()
+    } catch (error) {
+        console.warn('Presence: Redis call failed:', error.message)
+        return undefined
+    }
+}
+
+const registerInRedis = (userId, socketId) => tryRedis(() => redisClient
+    .multi()
+    .sAdd(keys.user(userId), `${NODE_ID}|${socketId}`)
+    .sAdd(keys.node(NODE_ID), `${userId}|${socketId}`)
+    .sAdd(keys.online, userId)
+    .sAdd(keys.nodes, NODE_ID)
+    .set(keys.heartbeat(NODE_ID), Date.now().toString(), { EX: HEARTBEAT_TTL_SEC })
+    .exec())
+
+const localState = (userId) => {
+    const sockets = localSockets.get(userId)
+    if (!sockets) return 'offline'
+    return [...sockets.values()].every(Boolean) ? 'idle' : 'online'
+}
+
+const addSocket = async (userId, socketId) => {
+    if (!localSockets.has(userId)) localSockets.set(userId, new Map())
+    localSockets.get(userId).set(socketId, false)
+
+    await registerInRedis(userId, socketId)
+}
+
+// Resolves to 'offline' when this was the user's last socket on any instance, to 'idle'
+// when only idle sockets are left, and to null when the user's state didn't change
+const removeSocket = async (userId, socketId) => {
+    const before = localState(userId)
+    const sockets = localSockets.get(userId)
+    sockets?.delete(socketId)
+    if (sockets?.size === 0) localSockets.delete(userId)
+
+    const result = await tryRedis(() => redisClient.eval(REMOVE_SOCKET_SCRIPT, {
+        keys: [keys.user(userId), keys.node(NODE_ID), keys.online, keys.idle(userId)],
+        arguments: [`${NODE_ID}|${socketId}`, `${userId}|${socketId}`, userId]
+    }))
+
+    if (result === undefined) {
+        const after = localState(userId)
+        return after !== before && after !== 'online' ? after : null
+    }
+    return { 1: 'offline', 2: 'idle' }[result] || null
+}
+
+// Resolves to true when marking this socket changed whether the user is idle
+const setIdle = async (userId, socketId, idle) => {
+    const sockets = localSockets.get(userId)
+    if (!sockets?.has(socketId)) return false
+
+    const before = localState(userId)
+    sockets.set(socketId, idle)
+
+    const changed = await tryRedis(() => redisClient.eval(SET_IDLE_SCRIPT, {
+        keys: [keys.user(userId), keys.idle(userId)],
+        arguments: [`${NODE_ID}|${socketId}`, idle ? '1' : '0']
+    }))
+
+    return changed === undefined ? localState(userId) !== before : changed === 1
+}
+
+// Resolves to a Map of userId -> 'online' | 'idle' | 'offline'
+const getStates = async (userIds) => {
+    const ids = userIds.map(String)
+    if (ids.length === 0) return new Map()
+
+    const counts = await tryRedis(() => {
+        const multi = redisClient.multi()
+        ids.forEach((id) => multi.sCard(keys.user(id)).sCard(keys.idle(id)))
+        return multi.exec()
+    })
+
+    return new Map(ids.map((id, i) => {
+        if (!counts) return [id, localState(id)]
+
+        const sockets = counts[i * 2]
+        const idle = counts[i * 2 + 1]
+        return [id, sockets === 0 ? 'offline' : idle >= sockets ? 'idle' : 'online']
+    }))
+}
+
+const isOnline = async (userId) => {
+    const online = await tryRedis(() => redisClient.sIsMember(keys.online, userId.toString()))
+    return online ?? localSockets.has(userId.toString())
+}
+
+// Drops every socket an instance registered; resolves to the users that went offline
+const sweepNode = async (nodeId) => {
+    const gone = await tryRedis(() => redisClient.eval(SWEEP_NODE_SCRIPT, {
+        keys: [keys.node(nodeId), keys.nodes, keys.online],
+        arguments: [nodeId, PREFIX]
+    }))
+    return gone || []
+}
+
+// Refreshes this instance's heartbeat and sweeps instances whose heartbeat expired.
+// Resolves to the users that went offline with them.
+const heartbeat = async () => {
+    await tryRedis(() => redisClient.set(keys.heartbeat(NODE_ID), Date.now().toString(), { EX: HEARTBEAT_TTL_SEC }))
+
+    const nodes = (await tryRedis(() => redisClient.sMembers(keys.nodes))) || []
+    const offline = []
+
+    for (const nodeId of nodes) {
+        if (nodeId === NODE_ID) continue
+        if (await tryRedis(() => redisClient.exists(keys.heartbeat(nodeId))) !== 0) continue
+
+        const gone = await sweepNode(nodeId)
+        if (gone.length) {
+            console.log(`Presence: removed ${gone.length} users of dead instance ${nodeId}`)
+            offline.push(...gone)
+        }
+    }
+
+    return offline
+}
+
+// Starts the heartbeat. `onOffline` receives the users a sweep took offline, and
+// `onResync` the users of this instance once Redis is (back) up.
+const startPresence = ({ onOffline, onResync }) => {
+    // Replaces whatever Redis holds for this instance with the sockets it really has.
+    // The sweep is atomic, and sockets connecting meanwhile are in localSockets already,
+    // so they are registered either way.
+    const resync = async () => {
+        const swept = await sweepNode(NODE_ID)
+
+        for (const [userId, sockets] of localSockets) {
+            for (const [socketId, idle] of sockets) {
+                await registerInRedis(userId, socketId)
+                if (idle) await setIdle(userId, socketId, true)
+            }
+        }
+
+        onResync([...localSockets.keys()])
+        const offline = swept.filter((userId) => !localSockets.has(userId))
+        if (offline.length > 0) onOffline(offline)
+    }
+
+    redisClient.on('ready', resync)
+    // The shared client may have connected before the server started
+    if (redisClient.isReady) resync()
+
+    const timer = setInterval(async () => {
+        const offline = await heartbeat()
+        if (offline.length > 0) onOffline(offline)
+    }, HEARTBEAT_SEC * 1000)
+    timer.unref()
+}
+
+module.exports = {
+    NODE_ID,
+    addSocket,
+    removeSocket,
+    setIdle,
+    getStates,
+    isOnline,
+    startPresence
+}
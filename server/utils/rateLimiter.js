@@ -0,0 +1,113 @@
+const redisClient = require('../config/redis')
+
+// Per-route budgets; `windowSec` is a fixed window that starts with the first hit
+const POLICIES = {
+    login: { limit: 10, windowSec: 15 * 60 },
+    register: { limit: 5, windowSec: 60 * 60 },
+    // Endpoints that send email or redeem emailed tokens
+    email: { limit: 5, windowSec: 60 * 60 },
+    send: { limit: 30, windowSec: 60 },
+    upload: { limit: 10, windowSec: 60 },
+    // User lookups by username or email
+    lookup: { limit: 30, windowSec: 60 },
+    socketEvent: { limit: 40, windowSec: 10 }
+}
+
+// Failed logins per account before it is locked, and for how long
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5
+const FAILED_LOGIN_WINDOW_SEC = 15 * 60
+const LOCKOUT_SEC = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60
+
+// Increments a counter whose window starts with its first hit. EXPIRE's NX flag would do
+// this in one step but needs Redis 7, so the TTL is set whenever the key has none yet,
+// which also repairs a key left without one. Resolves to [count, seconds left].
+const incrementInWindow = async (key, windowSec) => {
+    const [count, ttl] = await redisClient.multi().incr(key).ttl(key).exec()
+
+    if (ttl < 0) {
+        await redisClient.expire(key, windowSec)
+        return [count, windowSec]
+    }
+    return [count, ttl]
+}
+
+// Counts one hit against `policy` for `subject` (an IP or user id).
+// Resolves to { allowed, limit, remaining, resetSec }. If Redis is unavailable the
+// request is let through: an outage of the limiter should not take the app down.
+const consume = async (policyName, subject) => {
+    const { limit, windowSec } = POLICIES[policyName]
+
+    if (!redisClient.isReady) {
+        return { allowed: true, limit, remaining: limit, resetSec: windowSec }
+    }
+
+    const key = `ratelimit:${policyName}:${subject}`
+
+    try {
+        const [count, ttl] = await incrementInWindow(key, windowSec)
+
+        const resetSec = ttl > 0 ? ttl : windowSec
+
+        return {
+            allowed: count <= limit,
+            limit,
+            remaining: Math.max(limit - count, 0),
+            resetSec
+        }
+    } catch (error) {
+        console.error('Rate limiter error:', error)
+        return { allowed: true, limit, remaining: limit, resetSec: windowSec }
+    }
+}
+
+const lockoutKey = (email) => `lockout:${String(email).toLowerCase()}`
+const failedLoginKey = (email) => `login-failures:${String(email).toLowerCase()}`
+
+// Seconds until the account may try again, or 0 when it is not locked
+const getLockout = async (email) => {
+    if (!redisClient.isReady) return 0
+
+    try {
+        const ttl = await redisClient.ttl(lockoutKey(email))
+        return ttl > 0 ? ttl : 0
+    } catch (error) {
+        console.error('Lockout check failed:', error)
+        return 0
+    }
+}
+
+// Returns the lockout in seconds once the account has failed too often, otherwise 0
+const recordFailedLogin = async (email) => {
+    if (!redisClient.isReady) return 0
+
+    try {
+        const key = failedLoginKey(email)
+        const [failures] = await incrementInWindow(key, FAILED_LOGIN_WINDOW_SEC)
+
+        if (failures < MAX_FAILED_LOGINS) return 0
+
+        await redisClient.multi().set(lockoutKey(email), '1', { EX: LOCKOUT_SEC }).del(key).exec()
+        return LOCKOUT_SEC
+    } catch (error) {
+        console.error('Failed to record login failure:', error)
+        return 0
+    }
+}
+
+const clearFailedLogins = async (email) => {
+    if (!redisClient.isReady) return
+
+    try {
+        await redisClient.del(failedLoginKey(email))
+    } catch (error) {
+        console.error('Failed to clear login failures:', error)
+    }
+}
+
+module.exports = {
+    POLICIES,
+    consume,
+    getLockout,
+    recordFailedLogin,
+    clearFailedLogins
+}
@@ -0,0 +1,102 @@
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const Session = require('../models/Session')
+const { io, sessionRoom } = require('../config/socket')
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+// Rotated tokens remembered per session for reuse detection
+const USED_TOKEN_HISTORY = 20
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Refresh tokens are "<sessionId>.<random secret>"; only their hash is stored
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+// "Chrome on Windows" style label for the session list
+const describeDevice = (userAgent = '') => {
+    const browser = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+    const os = [
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+    if (!browser && !os) return 'Unknown device'
+    return [browser || 'Browser', os].filter(Boolean).join(' on ')
+}
+
+const clientInfo = (req) => {
+    const userAgent = req.get('user-agent') || ''
+    return { userAgent, device: describeDevice(userAgent), ip: req.ip }
+}
+
+const createSession = async (userId, req) => {
+    const session = new Session({ userId, expiresAt: refreshExpiry(), ...clientInfo(req) })
+    const refreshToken = newRefreshToken(session._id)
+
+    session.tokenHash = hashToken(refreshToken)
+    await session.save()
+
+    return { session, refreshToken }
+}
+
+// Revokes the matching active sessions and drops their sockets
+const revokeSessions = async (filter, reason = 'revoked') => {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id')
+    if (sessions.length === 0) return 0
+
+    const ids = sessions.map((session) => session._id)
+    await Session.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: new Date(), revokedReason: reason } })
+
+    ids.forEach((id) => io.in(sessionRoom(id)).disconnectSockets(true))
+    return ids.length
+}
+
+// Swaps a refresh token for a new one. Returns { session, refreshToken } or
+// { error: 'invalid' | 'reused' }; a reused token revokes the whole session.
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId] = String(refreshToken).split('.')
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return { error: 'invalid' }
+
+    const presentedHash = hashToken(refreshToken)
+    const nextToken = newRefreshToken(sessionId)
+
+    // Matching on the current hash makes concurrent rotations of one token race-free:
+    // only the first wins, the second looks like reuse
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                tokenHash: hashToken(nextToken),
+                lastUsedAt: new Date(),
+                expiresAt: refreshExpiry(),
+                ...clientInfo(req)
+            },
+            $push: { usedTokenHashes: { $each: [presentedHash], $slice: -USED_TOKEN_HISTORY } }
+        },
+        { new: true }
+    )
+
+    if (session) return { session, refreshToken: nextToken }
+
+    const revoked = await revokeSessions({ _id: sessionId, usedTokenHashes: presentedHash }, 'reuse')
+    return { error: revoked > 0 ? 'reused' : 'invalid' }
+}
+
+module.exports = {
+    hashToken,
+    createSession,
+    rotateSession,
+    revokeSessions
+}
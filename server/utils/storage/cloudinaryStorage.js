@@ -0,0 +1,24 @@
+const { Readable } = require('stream')
+const cloudinary = require('../../config/cloudnary')
+
+// Streams a buffer to Cloudinary; the returned secure URL is public and stored as-is
+const save = (buffer, { folder, publicId }) => {
+    return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+            {
+                folder: `ping-me/${folder}`,
+                resource_type: 'auto',
+                ...(publicId && { public_id: publicId, overwrite: true })
+            },
+            (error, result) => {
+                if (error) reject(error)
+                else resolve(result.secure_url)
+            }
+        )
+        Readable.from(buffer).pipe(uploadStream)
+    })
+}
+
+const resolveUrl = (ref) => ref
+
+module.exports = { save, resolveUrl }
@@ -0,0 +1,92 @@
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+
+const REF_PREFIX = 'local:'
+
+const rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../uploads'))
+const signingSecret = () => process.env.FILE_SIGNING_SECRET || process.env.SECRET_KEY
+const urlTtlSeconds = () => Number(process.env.FILE_URL_TTL_SECONDS) || 24 * 60 * 60
+const publicUrl = () => process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 1965}`
+
+// Keys are always "<folder>/<file>" made of safe characters, so they can never escape rootDir
+const SEGMENT = /^[\w.-]+$/
+const isValidKey = (key) => {
+    const parts = key.split('/')
+    return parts.length === 2 && parts.every((part) => SEGMENT.test(part) && part !== '..' && part !== '.')
+}
+
+// The extension decides how a file is served later, so it comes from the validated mimetype
+// and never from the client's file name: "x.html" declared as image/png is stored as .png.
+// Types not listed here are stored without one and served as a plain download.
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.ms-powerpoint': '.ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+    'text/plain': '.txt',
+    'application/zip': '.zip',
+    'audio/mpeg': '.mp3',
+    'audio/ogg': '.ogg',
+    'audio/wav': '.wav',
+    'audio/webm': '.weba',
+    'audio/mp4': '.m4a',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'video/quicktime': '.mov'
+}
+
+// Only images, audio and video are shown in the browser; everything else is downloaded
+const INLINE_EXTENSIONS = new Set(Object.entries(EXTENSIONS)
+    .filter(([mimeType]) => /^(image|audio|video)\//.test(mimeType))
+    .map(([, ext]) => ext))
+
+const sign = (key, expires) => {
+    return crypto.createHmac('sha256', signingSecret()).update(`${key}:${expires}`).digest('hex')
+}
+
+// Writes the buffer under rootDir and returns a "local:<key>" reference for the database
+const save = async (buffer, { folder, mimeType, publicId }) => {
+    const ext = EXTENSIONS[mimeType] || ''
+    const name = `${publicId || crypto.randomUUID()}${ext}`
+    const key = `${folder}/${name}`
+
+    await fs.mkdir(path.join(rootDir, folder), { recursive: true })
+    await fs.writeFile(path.join(rootDir, folder, name), buffer)
+
+    return `${REF_PREFIX}${key}`
+}
+
+// Turns a stored reference into a signed URL valid for at least FILE_URL_TTL_SECONDS.
+// Expiry is rounded up to the hour so the same file keeps one URL and stays browser-cacheable.
+const resolveUrl = (ref) => {
+    if (typeof ref !== 'string' || !ref.startsWith(REF_PREFIX)) return ref
+
+    const key = ref.slice(REF_PREFIX.length)
+    const expires = Math.ceil((Date.now() / 1000 + urlTtlSeconds()) / 3600) * 3600
+
+    return `${publicUrl()}/api/files/${key}?expires=${expires}&signature=${sign(key, expires)}`
+}
+
+const verifySignature = (key, expires, signature) => {
+    if (!isValidKey(key) || !expires || typeof signature !== 'string') return false
+    if (Number(expires) < Math.floor(Date.now() / 1000)) return false
+
+    const expected = Buffer.from(sign(key, expires))
+    const given = Buffer.from(signature)
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+}
+
+// Absolute path of a stored file, or null for keys that are not ours
+const filePath = (key) => (isValidKey(key) ? path.join(rootDir, key) : null)
+
+const servesInline = (key) => INLINE_EXTENSIONS.has(path.extname(key).toLowerCase())
+
+module.exports = { save, resolveUrl, verifySignature, filePath, servesInline }